@@ -0,0 +1,188 @@
+/**
+ * JWT Auth Pro - Activity Charts
+ *
+ * Dependency-free SVG charts for the Activity tab:
+ * - Line chart of authentication events over time
+ * - Horizontal bar chart for rankings (sessions per user, failing IPs and user agents)
+ *
+ * Charts are returned as SVG markup so they render without a charting library
+ * and can be tested outside the browser. The data comes from
+ * `GET /wp-json/jwt/v1/admin/activity`.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.JWTActivityCharts = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+    'use strict';
+
+    const LINE_DEFAULTS = { width: 720, height: 240, ticks: 4, padding: { top: 12, right: 16, bottom: 28, left: 44 } };
+    const BAR_DEFAULTS = { width: 480, barHeight: 20, gap: 6, labelWidth: 200 };
+
+    /**
+     * Escape text for use in SVG markup
+     */
+    function escapeXml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     */
+    function niceMax(value) {
+        if (!(value > 0)) {
+            return 1;
+        }
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+        return step * magnitude;
+    }
+
+    /**
+     * Find the busiest bucket of a series
+     *
+     * @param {number[]} values Counts per bucket.
+     * @returns {{index: number, value: number}} First bucket with the highest count (index -1 when all are zero).
+     */
+    function peak(values) {
+        return values.reduce(
+            (best, value, index) => value > best.value ? { index, value } : best,
+            { index: -1, value: 0 }
+        );
+    }
+
+    /**
+     * Label a bucket start time: the hour for hourly buckets, the date otherwise
+     *
+     * Labels use the site timezone the server bucketed in, not the browser's.
+     *
+     * @param {number} timestamp   Unix timestamp.
+     * @param {number} bucket      Bucket size in seconds.
+     * @param {number} [utcOffset] Offset of the site timezone from UTC, in seconds.
+     */
+    function formatBucket(timestamp, bucket, utcOffset = 0) {
+        const date = new Date((timestamp + utcOffset) * 1000);
+        const pad = number => String(number).padStart(2, '0');
+
+        if (bucket < 86400) {
+            return `${pad(date.getUTCHours())}:00`;
+        }
+        return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    }
+
+    /**
+     * Render a line chart
+     *
+     * @param {Object}   data
+     * @param {number[]} data.buckets       Bucket start times.
+     * @param {number}   data.bucket        Bucket size in seconds.
+     * @param {number}   [data.utcOffset]   Offset of the site timezone from UTC, in seconds.
+     * @param {Array<{label: string, color: string, values: number[]}>} data.series
+     * @param {Object}   [options]          Width, height, tick count, padding and an accessible title.
+     * @returns {string} SVG markup.
+     */
+    function lineChart(data, options = {}) {
+        const opts = { ...LINE_DEFAULTS, ...options };
+        const pad = opts.padding;
+        const plotWidth = opts.width - pad.left - pad.right;
+        const plotHeight = opts.height - pad.top - pad.bottom;
+        const count = data.buckets.length;
+        const max = niceMax(Math.max(0, ...data.series.map(series => Math.max(0, ...series.values))));
+
+        const x = index => pad.left + (count > 1 ? index * plotWidth / (count - 1) : plotWidth / 2);
+        const y = value => pad.top + plotHeight - value / max * plotHeight;
+        const round = number => Math.round(number * 10) / 10;
+
+        const parts = [];
+
+        // Horizontal grid lines with their value.
+        for (let tick = 0; tick <= opts.ticks; tick++) {
+            const value = max * tick / opts.ticks;
+            const ty = round(y(value));
+            parts.push(
+                `<line class="grid" x1="${pad.left}" x2="${opts.width - pad.right}" y1="${ty}" y2="${ty}" stroke="#dcdcde" />`,
+                `<text x="${pad.left - 6}" y="${ty + 4}" text-anchor="end">${escapeXml(Number.isInteger(value) ? value : value.toFixed(1))}</text>`
+            );
+        }
+
+        // At most six bucket labels along the x axis.
+        const every = Math.max(1, Math.ceil(count / 6));
+        data.buckets.forEach((timestamp, index) => {
+            if (index % every === 0) {
+                parts.push(
+                    `<text x="${round(x(index))}" y="${opts.height - 8}" text-anchor="middle">${escapeXml(formatBucket(timestamp, data.bucket, data.utcOffset))}</text>`
+                );
+            }
+        });
+
+        data.series.forEach(series => {
+            const points = series.values.map((value, index) => `${round(x(index))},${round(y(value))}`).join(' ');
+            parts.push(
+                `<polyline fill="none" stroke="${escapeXml(series.color)}" stroke-width="2" points="${points}">` +
+                `<title>${escapeXml(series.label)}</title></polyline>`
+            );
+        });
+
+        return svg(opts.width, opts.height, opts.title, parts);
+    }
+
+    /**
+     * Render a horizontal bar chart
+     *
+     * @param {Array<{label: string, value: number}>} rows Bars, in display order.
+     * @param {Object} [options] Width, bar height, gap, label width, color and an accessible title.
+     * @returns {string} SVG markup, or an empty string when there are no rows.
+     */
+    function barChart(rows, options = {}) {
+        if (!rows.length) {
+            return '';
+        }
+
+        const opts = { color: '#2271b1', ...BAR_DEFAULTS, ...options };
+        const height = rows.length * (opts.barHeight + opts.gap);
+        const max = Math.max(1, ...rows.map(row => row.value));
+        const barSpace = opts.width - opts.labelWidth - 48;
+        const maxChars = Math.floor(opts.labelWidth / 7);
+
+        const parts = [];
+        rows.forEach((row, index) => {
+            const top = index * (opts.barHeight + opts.gap);
+            const textY = top + opts.barHeight / 2 + 4;
+            const barWidth = Math.max(1, Math.round(row.value / max * barSpace));
+            const label = row.label.length > maxChars ? `${row.label.slice(0, maxChars - 1)}…` : row.label;
+
+            parts.push(
+                `<g><title>${escapeXml(`${row.label}: ${row.value}`)}</title>` +
+                `<text x="${opts.labelWidth - 6}" y="${textY}" text-anchor="end">${escapeXml(label)}</text>` +
+                `<rect x="${opts.labelWidth}" y="${top}" width="${barWidth}" height="${opts.barHeight}" fill="${escapeXml(opts.color)}" />` +
+                `<text x="${opts.labelWidth + barWidth + 6}" y="${textY}">${escapeXml(row.value)}</text></g>`
+            );
+        });
+
+        return svg(opts.width, height, opts.title, parts);
+    }
+
+    /**
+     * Wrap chart parts in a scalable SVG element
+     */
+    function svg(width, height, title, parts) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" font-size="11" fill="#50575e">` +
+            (title ? `<title>${escapeXml(title)}</title>` : '') +
+            parts.join('') +
+            '</svg>';
+    }
+
+    return { lineChart, barChart, niceMax, peak, formatBucket, escapeXml };
+});
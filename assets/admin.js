@@ -8,6 +8,10 @@ jQuery(document).ready(function($) {
 
     const wpRestAuthJWT = window.wpRestAuthJWT || {};
 
+    // Validation rules and wp-config.php locks, shared with sanitize_jwt_settings().
+    const settingsRules = (wpRestAuthJWT.settings || {}).rules || {};
+    const lockedFields = (wpRestAuthJWT.settings || {}).locked || {};
+
     /**
      * Initialize admin functionality
      */
@@ -15,6 +19,14 @@ jQuery(document).ready(function($) {
         bindEvents();
         initTooltips();
         validateSettings();
+
+        if ($('#jwt-cookie-inspector').length) {
+            loadCookieInspector();
+        }
+
+        if ($('#jwt-activity-days').length) {
+            loadActivity();
+        }
     }
 
     /**
@@ -22,18 +34,39 @@ jQuery(document).ready(function($) {
      */
     function bindEvents() {
         // Settings form validation
-        $('#wp-rest-auth-jwt-settings').on('submit', validateForm);
+        $('#jwt_secret_key').closest('form').on('submit', validateForm);
 
         // Real-time validation
-        $('input[name="wp_rest_auth_jwt_settings[secret_key]"]').on('blur', validateSecretKey);
-        $('input[name="wp_rest_auth_jwt_settings[token_expiry]"]').on('blur', validateTokenExpiry);
+        $('#jwt_secret_key').on('input blur', validateSecretKey);
+        $('#jwt_access_token_expiry, #jwt_refresh_token_expiry').on('input blur', validateTokenExpiry);
 
-        // Generate new secret key
-        $('#generate-secret-key').on('click', generateSecretKey);
+        // Secret key
+        $('#toggle_jwt_secret').on('click', toggleSecretVisibility);
+        $('#generate_jwt_secret').on('click', openSecretRotation);
+        $('#jwt-rotation-regenerate').on('click', regenerateRotationSecret);
+        $('#jwt-rotation-purge, #jwt-rotation-confirm').on('change', updateRotationApply);
+        $('#jwt-rotation-apply').on('click', applySecretRotation);
+        $('#jwt-rotation-cancel').on('click', closeSecretRotation);
 
         // Test JWT generation
         $('#test-jwt-generation').on('click', testJWTGeneration);
 
+        // Sessions manager
+        $('#jwt-sessions-search').on('submit', searchSessionUsers);
+        $('#jwt-sessions-users').on('click', '.jwt-sessions-select-user', selectSessionUser);
+        $('#jwt-sessions-list').on('click', '.jwt-sessions-revoke', revokeSession);
+        $('#jwt-sessions-revoke-all').on('click', revokeAllSessions);
+        $('#jwt-sessions-refresh').on('click', () => loadSessions());
+
+        // Cookie inspector
+        $('#jwt-cookie-environment').on('change', renderCookieInspector);
+        $('#jwt-cookie-origin').on('input', renderCookieInspector);
+        $('#jwt-cookie-probe').on('click', runCookieProbe);
+
+        // Activity charts
+        $('#jwt-activity-days').on('change', () => loadActivity());
+        $('#jwt-activity-refresh').on('click', () => loadActivity());
+
         // Copy to clipboard functionality
         $('.copy-to-clipboard').on('click', copyToClipboard);
 
@@ -45,6 +78,11 @@ jQuery(document).ready(function($) {
      * Initialize tooltips
      */
     function initTooltips() {
+        // jQuery UI Tooltip is optional; skip when it is not loaded.
+        if (!$.fn.tooltip) {
+            return;
+        }
+
         $('.wp-rest-auth-jwt-tooltip').tooltip({
             position: { my: 'left+10 center', at: 'right center' },
             tooltipClass: 'wp-rest-auth-jwt-tooltip-content'
@@ -70,16 +108,26 @@ jQuery(document).ready(function($) {
      * Validate secret key
      */
     function validateSecretKey() {
-        const $input = $('input[name="wp_rest_auth_jwt_settings[secret_key]"]');
+        const $input = $('#jwt_secret_key');
+        const rule = settingsRules.secret_key;
+
+        // Locked or filtered setups may not send a rule; the server still validates on save.
+        if (!$input.length || lockedFields.secret_key || !rule) {
+            return true;
+        }
+
         const value = $input.val().trim();
+        const minLength = rule.min_length;
+
+        updateSecretStrength($input, value, minLength);
 
         if (!value) {
             showFieldError($input, 'Secret key is required');
             return false;
         }
 
-        if (value.length < 32) {
-            showFieldError($input, 'Secret key must be at least 32 characters');
+        if (value.length < minLength) {
+            showFieldError($input, `Secret key must be at least ${minLength} characters (currently ${value.length})`);
             return false;
         }
 
@@ -88,19 +136,51 @@ jQuery(document).ready(function($) {
     }
 
     /**
-     * Validate token expiry
+     * Validate token expiry (access and refresh TTLs)
      */
     function validateTokenExpiry() {
-        const $input = $('input[name="wp_rest_auth_jwt_settings[token_expiry]"]');
-        const value = parseInt($input.val());
+        const accessValid = validateTTLField($('#jwt_access_token_expiry'), 'access_token_expiry', 'Access token expiry');
+        const refreshValid = validateTTLField($('#jwt_refresh_token_expiry'), 'refresh_token_expiry', 'Refresh token expiry');
+
+        if (!accessValid || !refreshValid) {
+            return false;
+        }
+
+        // The refresh token must outlive the access token it renews.
+        const $refresh = $('#jwt_refresh_token_expiry');
+        const access = parseInt($('#jwt_access_token_expiry').val(), 10);
+        const refresh = parseInt($refresh.val(), 10);
 
-        if (isNaN(value) || value < 300) {
-            showFieldError($input, 'Token expiry must be at least 300 seconds (5 minutes)');
+        if ($refresh.length && !isNaN(access) && refresh <= access) {
+            showFieldError($refresh, `Refresh token expiry must be longer than the access token expiry (${formatDuration(access)})`);
             return false;
         }
 
-        if (value > 86400) {
-            showFieldError($input, 'Token expiry should not exceed 86400 seconds (24 hours) for security');
+        return true;
+    }
+
+    /**
+     * Validate one TTL field against its range and show its duration
+     */
+    function validateTTLField($input, setting, label) {
+        if (!$input.length) {
+            return true;
+        }
+
+        const rule = settingsRules[setting];
+        const value = parseInt($input.val(), 10);
+
+        updateDuration($input, value);
+
+        if (lockedFields[setting] || !rule) {
+            return true;
+        }
+
+        if (isNaN(value) || value < rule.min || value > rule.max) {
+            showFieldError(
+                $input,
+                `${label} must be between ${rule.min} and ${rule.max} seconds (${formatDuration(rule.min)} to ${formatDuration(rule.max)})`
+            );
             return false;
         }
 
@@ -109,56 +189,791 @@ jQuery(document).ready(function($) {
     }
 
     /**
-     * Generate new secret key
+     * Show a human-readable duration next to a TTL input
+     */
+    function updateDuration($input, seconds) {
+        let $duration = $input.siblings('.jwt-duration');
+        if (!$duration.length) {
+            $duration = $('<span class="jwt-duration description">').insertAfter($input);
+        }
+        $duration.text(isNaN(seconds) ? '' : `= ${formatDuration(seconds)}`);
+    }
+
+    /**
+     * Format seconds as e.g. "1 hour 30 minutes" (two largest units)
+     */
+    function formatDuration(seconds) {
+        const units = [['year', 31536000], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const parts = [];
+        let remaining = Math.max(0, Math.floor(seconds));
+
+        units.forEach(([name, size]) => {
+            const count = Math.floor(remaining / size);
+            if (count && parts.length < 2) {
+                parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+                remaining -= count * size;
+            }
+        });
+
+        return parts.length ? parts.join(' ') : '0 seconds';
+    }
+
+    /**
+     * Estimate secret strength in bits from its length, character classes and repetition
+     */
+    function estimateSecretBits(secret) {
+        let pool = 0;
+        if (/[a-z]/.test(secret)) pool += 26;
+        if (/[A-Z]/.test(secret)) pool += 26;
+        if (/[0-9]/.test(secret)) pool += 10;
+        if (/[^a-zA-Z0-9]/.test(secret)) pool += 33;
+
+        if (!secret.length || !pool) {
+            return 0;
+        }
+
+        // Penalize secrets made of few distinct characters (e.g. "aaaa...").
+        const variety = Math.min(1, (new Set(secret).size / secret.length) * 2);
+        return Math.round(secret.length * Math.log2(pool) * variety);
+    }
+
+    /**
+     * Update the secret strength meter
+     */
+    function updateSecretStrength($input, secret, minLength) {
+        let $strength = $('#jwt-secret-strength');
+        if (!$strength.length) {
+            $strength = $(`
+                <div id="jwt-secret-strength" class="jwt-secret-strength">
+                    <meter min="0" max="3" low="1.5" high="2.5" optimum="3"></meter>
+                    <span class="description"></span>
+                </div>
+            `).insertAfter('#toggle_jwt_secret');
+        }
+
+        const bits = estimateSecretBits(secret);
+        let level = 3;
+        let label = 'Strong';
+
+        if (secret.length < minLength) {
+            level = 0;
+            label = 'Too short';
+        } else if (bits < 128) {
+            level = 1;
+            label = 'Weak';
+        } else if (bits < 192) {
+            level = 2;
+            label = 'Fair';
+        }
+
+        $strength.find('meter').val(level);
+        $strength.find('.description').text(`Strength: ${label} (about ${bits} bits)`);
+    }
+
+    /**
+     * Show or hide the secret key
+     */
+    function toggleSecretVisibility() {
+        const $field = $('#jwt_secret_key');
+        $field.attr('type', $field.attr('type') === 'password' ? 'text' : 'password');
+    }
+
+    /**
+     * Open the secret rotation wizard with a fresh secret and the current impact
      */
-    function generateSecretKey(e) {
+    async function openSecretRotation(e) {
         e.preventDefault();
 
-        if (!confirm('Generate a new secret key? This will invalidate all existing tokens.')) {
-            return;
+        $('#jwt-rotation-purge, #jwt-rotation-confirm').prop('checked', false);
+        regenerateRotationSecret();
+        updateRotationApply();
+        $('#jwt-secret-rotation').prop('hidden', false);
+
+        const $impact = $('#jwt-rotation-impact').text('Checking active sessions...');
+
+        try {
+            const response = await restRequest('GET', 'jwt/v1/admin/secret/rotation');
+            $impact.text(describeRotationImpact(response.data));
+        } catch (xhr) {
+            $impact.text(`Could not count active sessions: ${restErrorMessage(xhr)}`);
         }
+    }
 
-        const secretKey = generateRandomString(64);
-        $('input[name="wp_rest_auth_jwt_settings[secret_key]"]').val(secretKey);
-        showNotice('New secret key generated. Remember to save your settings.', 'info');
+    /**
+     * Describe which sessions a rotation ends
+     */
+    function describeRotationImpact(status) {
+        const tokens = status.active_tokens;
+        const users = status.affected_users;
+
+        return `${tokens} active refresh token${tokens === 1 ? '' : 's'} across ${users} user${users === 1 ? '' : 's'} ` +
+            'will stop working, and every access token signed with the current secret is rejected immediately.';
+    }
+
+    /**
+     * Generate a new secret and the matching wp-config.php line
+     */
+    function regenerateRotationSecret() {
+        const secret = generateSecret(64);
+
+        $('#jwt-rotation-secret').val(secret);
+        $('#jwt-rotation-define').val(`define( 'JWT_AUTH_PRO_SECRET', '${secret}' );`);
+    }
+
+    /**
+     * Enable the apply button once the rotation is confirmed
+     */
+    function updateRotationApply() {
+        const confirmed = $('#jwt-rotation-confirm').is(':checked');
+
+        // With the secret in wp-config.php, purging is the only action left to run here.
+        const hasAction = !lockedFields.secret_key || $('#jwt-rotation-purge').is(':checked');
+
+        $('#jwt-rotation-apply').prop('disabled', !confirmed || !hasAction);
+    }
+
+    /**
+     * Save the new secret and/or purge refresh tokens
+     */
+    async function applySecretRotation(e) {
+        e.preventDefault();
+
+        const $button = $(this);
+        const secret = $('#jwt-rotation-secret').val();
+        const purge = $('#jwt-rotation-purge').is(':checked');
+
+        $button.prop('disabled', true);
+
+        try {
+            const response = await restRequest('POST', 'jwt/v1/admin/secret/rotation', {
+                data: lockedFields.secret_key ? { purge_tokens: purge } : { secret: secret, purge_tokens: purge }
+            });
+            const result = response.data;
+            const messages = [];
+
+            if (result.secret_saved) {
+                $('#jwt_secret_key').val(secret);
+                validateSecretKey();
+                messages.push('JWT secret rotated.');
+            }
+            if (purge) {
+                messages.push(`${result.purged} refresh token${result.purged === 1 ? '' : 's'} purged.`);
+            }
+            if (!result.secret_saved) {
+                messages.push('Paste the new define() line into wp-config.php to finish the rotation.');
+            }
+
+            showNotice(messages.join(' '), result.secret_saved ? 'success' : 'warning');
+
+            closeSecretRotation();
+        } catch (xhr) {
+            showNotice(`Secret rotation failed: ${restErrorMessage(xhr)}`, 'error');
+            updateRotationApply();
+        }
+    }
+
+    /**
+     * Close the secret rotation wizard
+     */
+    function closeSecretRotation() {
+        $('#jwt-secret-rotation').prop('hidden', true);
+    }
+
+    /**
+     * Build a REST API URL (works with pretty and plain permalinks)
+     */
+    function restUrl(path, query) {
+        let url = wpRestAuthJWT.restUrl + path;
+        if (query) {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + $.param(query);
+        }
+        return url;
+    }
+
+    /**
+     * Send a REST API request
+     *
+     * Admin routes are authenticated with the REST nonce; pass `token` to
+     * authenticate with a Bearer token instead.
+     */
+    function restRequest(method, path, options = {}) {
+        return $.ajax({
+            url: restUrl(path, options.query),
+            method: method,
+            data: options.data ? JSON.stringify(options.data) : undefined,
+            contentType: options.data ? 'application/json' : undefined,
+            dataType: 'json',
+            beforeSend: function(xhr) {
+                if (options.token) {
+                    xhr.setRequestHeader('Authorization', 'Bearer ' + options.token);
+                } else if (options.nonce !== false) {
+                    xhr.setRequestHeader('X-WP-Nonce', wpRestAuthJWT.restNonce);
+                }
+            }
+        });
+    }
+
+    /**
+     * Extract a readable message from a failed REST request
+     */
+    function restErrorMessage(xhr) {
+        const body = xhr && xhr.responseJSON;
+        if (body && body.message) {
+            return body.code ? `${body.message} (${body.code})` : body.message;
+        }
+        return xhr && xhr.status ? `HTTP ${xhr.status}` : 'Network error';
     }
 
     /**
      * Test JWT generation
+     *
+     * Runs the full token lifecycle against the live endpoints and reports
+     * each step as it completes.
      */
-    function testJWTGeneration(e) {
+    async function testJWTGeneration(e) {
         e.preventDefault();
 
         const $button = $(this);
         const originalText = $button.text();
+        const $results = $('#test-results');
+        const $rows = $('<tbody>');
 
         $button.prop('disabled', true).text('Testing...');
+        $results.empty().append(
+            $('<table class="widefat striped">').append(
+                '<thead><tr><th>Step</th><th>Result</th><th>Details</th></tr></thead>',
+                $rows
+            )
+        );
 
-        $.ajax({
-            url: wpRestAuthJWT.restUrl + 'wp-rest-auth-jwt/v1/test',
-            method: 'POST',
-            beforeSend: function(xhr) {
-                xhr.setRequestHeader('X-WP-Nonce', wpRestAuthJWT.nonce);
+        const report = (step, passed, details) => {
+            const $details = typeof details === 'string' ? $('<span>').text(details) : details;
+            $rows.append(
+                $('<tr>').append(
+                    $('<td>').text(step),
+                    $('<td>').append(
+                        $('<span>').addClass(passed ? 'step-pass' : 'step-fail').text(passed ? 'Pass' : 'Fail')
+                    ),
+                    $('<td>').append($details)
+                )
+            );
+            return passed;
+        };
+
+        const verify = async (token) => {
+            const response = await restRequest('GET', 'jwt/v1/verify', { token: token });
+            return response.data.user.id;
+        };
+
+        let failed = false;
+        const step = async (name, run) => {
+            if (failed) {
+                return null;
             }
-        }).done(function(response) {
-            if (response.success) {
-                showNotice('JWT generation test successful!', 'success');
-                $('#test-results').html(`
-                    <h4>Test Results:</h4>
-                    <p><strong>Token Type:</strong> ${response.data.token_type}</p>
-                    <p><strong>Expires In:</strong> ${response.data.expires_in} seconds</p>
-                    <p><strong>Token Length:</strong> ${response.data.token.length} characters</p>
-                `);
-            } else {
-                showNotice('JWT generation test failed: ' + response.message, 'error');
+            try {
+                return await run();
+            } catch (error) {
+                failed = true;
+                report(name, false, error instanceof Error ? error.message : restErrorMessage(error));
+                return null;
+            }
+        };
+
+        // 1. Issue a token for the current admin.
+        const issued = await step('Issue token', async () => {
+            const response = await restRequest('POST', 'jwt/v1/admin/diagnostics/token');
+            const config = response.data.config;
+            const cookie = config.cookie;
+            report('Issue token', true, $('<pre>').text(
+                `Secret: ${config.secret_length} characters (from ${config.secret_source})\n` +
+                `Access TTL: ${config.access_ttl}s, Refresh TTL: ${config.refresh_ttl}s\n` +
+                `Cookie: ${cookie.name}; Path=${cookie.path}; Domain=${cookie.domain || '(host only)'}; ` +
+                `SameSite=${cookie.samesite}; Secure=${cookie.secure}; HttpOnly=${cookie.httponly} [${cookie.environment}]`
+            ));
+            return response.data;
+        });
+
+        // 2. Decode the header and claims.
+        await step('Decode claims', async () => {
+            const decoded = JWTAuthClient.decodeToken(issued.access_token);
+            const claims = decoded.claims;
+            const problems = [];
+
+            if (decoded.header.alg !== 'HS256' || decoded.header.typ !== 'JWT') {
+                problems.push('unexpected header');
+            }
+            if (String(claims.sub) !== String(wpRestAuthJWT.userId)) {
+                problems.push('sub does not match the current user');
+            }
+            if (claims.exp - claims.iat !== issued.expires_in) {
+                problems.push('exp - iat does not match expires_in');
+            }
+            if (!Array.isArray(claims.roles)) {
+                problems.push('roles claim missing');
+            }
+
+            report('Decode claims', problems.length === 0, $('<pre>').text(
+                (problems.length ? `Problems: ${problems.join(', ')}\n` : '') +
+                `Header: ${JSON.stringify(decoded.header)}\n` +
+                `sub: ${claims.sub}\n` +
+                `iat: ${claims.iat} (${new Date(claims.iat * 1000).toLocaleString()})\n` +
+                `exp: ${claims.exp} (${new Date(claims.exp * 1000).toLocaleString()})\n` +
+                `roles: ${JSON.stringify(claims.roles)}`
+            ));
+        });
+
+        // 3. Verify the access token against /verify.
+        await step('Verify token', async () => {
+            const userId = await verify(issued.access_token);
+            report('Verify token', String(userId) === String(wpRestAuthJWT.userId), `Authenticated as user #${userId}`);
+        });
+
+        // 4. Exchange the refresh cookie for a new access token.
+        await step('Refresh', async () => {
+            const response = await restRequest('POST', 'jwt/v1/refresh', { nonce: false });
+            const userId = await verify(response.data.access_token);
+            report('Refresh', true, `New access token issued and verified for user #${userId}`);
+        });
+
+        // 5. Refresh again: only succeeds if the rotated cookie was set and accepted.
+        await step('Rotate', async () => {
+            await restRequest('POST', 'jwt/v1/refresh', { nonce: false });
+            report('Rotate', true, 'Rotated refresh token cookie was accepted');
+        });
+
+        // Active refresh token ids of the current admin, to see which one logout revokes.
+        const sessionIds = async () => {
+            const response = await restRequest('GET', 'jwt/v1/admin/diagnostics/token');
+            return response.data.token_ids;
+        };
+
+        // 6. Logout revokes the refresh token and clears the cookie.
+        let loggedOut = false;
+        const revoked = await step('Logout', async () => {
+            const before = await sessionIds();
+            await restRequest('POST', 'jwt/v1/logout', { nonce: false });
+            loggedOut = true;
+            const after = await sessionIds();
+            report('Logout', true, 'Logout succeeded and the refresh token cookie was cleared');
+            return before.filter(id => after.indexOf(id) === -1);
+        });
+
+        // 7. The refresh token must be revoked in the database, not just dropped from the cookie.
+        await step('Revocation', async () => {
+            if (revoked.length !== 1) {
+                report('Revocation', false, `Expected logout to revoke 1 stored refresh token, it revoked ${revoked.length}`);
+                return;
+            }
+
+            try {
+                await restRequest('POST', 'jwt/v1/refresh', { nonce: false });
+            } catch (xhr) {
+                report('Revocation', xhr.status === 401, `Session #${revoked[0]} revoked; refresh after logout rejected: ${restErrorMessage(xhr)}`);
+                return;
+            }
+            report('Revocation', false, 'Refresh still succeeded after logout');
+        });
+
+        // Don't leave the diagnostic refresh token active when a step before logout failed.
+        if (issued && !loggedOut) {
+            try {
+                await restRequest('POST', 'jwt/v1/logout', { nonce: false });
+                report('Cleanup', true, 'Diagnostic refresh token revoked');
+            } catch (xhr) {
+                report('Cleanup', false, `Could not revoke the diagnostic refresh token: ${restErrorMessage(xhr)}. Revoke it from the Sessions tab.`);
+            }
+        }
+
+        const allPassed = $rows.find('.step-fail').length === 0;
+        showNotice(allPassed ? 'All token diagnostics passed.' : 'Token diagnostics failed. See the results below.', allPassed ? 'success' : 'error');
+
+        $button.prop('disabled', false).text(originalText);
+    }
+
+    /**
+     * Sessions manager state: the user whose sessions are shown
+     */
+    let sessionsUser = null;
+
+    /**
+     * Search users for the sessions manager
+     */
+    function searchSessionUsers(e) {
+        e.preventDefault();
+
+        const search = $('#jwt-sessions-user-search').val().trim();
+        const $users = $('#jwt-sessions-users');
+
+        if (!search) {
+            $users.empty();
+            return;
+        }
+
+        $users.text('Searching...');
+
+        restRequest('GET', 'jwt/v1/admin/users', { query: { search: search } }).done(function(response) {
+            const users = response.data.users;
+            $users.empty();
+
+            if (!users.length) {
+                $users.append($('<p>').text(`No users found matching "${search}".`));
+                return;
             }
+
+            const $list = $('<ul class="ul-disc">');
+            users.forEach(user => {
+                $list.append(
+                    $('<li>').append(
+                        $('<button type="button" class="button-link jwt-sessions-select-user">')
+                            .data('user', user)
+                            .text(`${user.display_name} (${user.login})`),
+                        $('<span class="description">').text(` ${user.email}`)
+                    )
+                );
+            });
+            $users.append($list);
+        }).fail(function(xhr) {
+            $users.empty();
+            showNotice('User search failed: ' + restErrorMessage(xhr), 'error');
+        });
+    }
+
+    /**
+     * Show the sessions of the chosen user
+     */
+    function selectSessionUser(e) {
+        e.preventDefault();
+
+        sessionsUser = $(this).data('user');
+        $('#jwt-sessions-title').text(`Sessions for ${sessionsUser.display_name} (${sessionsUser.login})`);
+        $('#jwt-sessions-panel').prop('hidden', false);
+        loadSessions();
+    }
+
+    /**
+     * Load the sessions of the current user into the table
+     */
+    function loadSessions() {
+        if (!sessionsUser) {
+            return;
+        }
+
+        $('#jwt-sessions-list').html('<tr><td colspan="5">Loading...</td></tr>');
+
+        restRequest('GET', `jwt/v1/admin/sessions/${sessionsUser.id}`).done(function(response) {
+            renderSessions(response.data.sessions);
+        }).fail(function(xhr) {
+            $('#jwt-sessions-list').empty();
+            showNotice('Could not load sessions: ' + restErrorMessage(xhr), 'error');
+        });
+    }
+
+    /**
+     * Render session rows
+     */
+    function renderSessions(sessions) {
+        const $list = $('#jwt-sessions-list').empty();
+
+        $('#jwt-sessions-revoke-all').prop('disabled', !sessions.length);
+
+        if (!sessions.length) {
+            $list.append('<tr class="no-items"><td colspan="5">No active sessions.</td></tr>');
+            return;
+        }
+
+        sessions.forEach(session => {
+            $list.append(
+                $('<tr>').attr('data-session-id', session.id).append(
+                    $('<td>').text(session.created_at ? formatTimestamp(session.created_at) : 'Unknown'),
+                    $('<td>').text(formatTimestamp(session.expires_at)),
+                    $('<td>').text(session.ip_address || 'Unknown'),
+                    $('<td class="column-user-agent">').text(session.user_agent || 'Unknown'),
+                    $('<td>').append(
+                        $('<button type="button" class="button button-small jwt-sessions-revoke">')
+                            .attr('data-session-id', session.id)
+                            .text('Revoke')
+                    )
+                )
+            );
+        });
+    }
+
+    /**
+     * Revoke a single session and update the table in place
+     */
+    function revokeSession(e) {
+        e.preventDefault();
+
+        const $button = $(this);
+        const sessionId = $button.data('session-id');
+
+        if (!confirm('Revoke this session? The device will be signed out when its access token expires.')) {
+            return;
+        }
+
+        $button.prop('disabled', true).text('Revoking...');
+
+        restRequest('DELETE', `jwt/v1/admin/sessions/${sessionsUser.id}/${sessionId}`).done(function(response) {
+            renderSessions(response.data.sessions);
+            showNotice('Session revoked.', 'success');
         }).fail(function(xhr) {
-            showNotice('JWT generation test failed: ' + xhr.responseText, 'error');
-        }).always(function() {
-            $button.prop('disabled', false).text(originalText);
+            $button.prop('disabled', false).text('Revoke');
+            showNotice('Could not revoke session: ' + restErrorMessage(xhr), 'error');
         });
     }
 
+    /**
+     * Revoke every session of the current user
+     */
+    function revokeAllSessions(e) {
+        e.preventDefault();
+
+        if (!sessionsUser || !confirm(`Revoke all sessions for ${sessionsUser.login}? Every device will be signed out.`)) {
+            return;
+        }
+
+        const $button = $(this).prop('disabled', true);
+
+        restRequest('DELETE', `jwt/v1/admin/sessions/${sessionsUser.id}`).done(function(response) {
+            renderSessions(response.data.sessions);
+            showNotice(`${response.data.revoked} session(s) revoked.`, 'success');
+        }).fail(function(xhr) {
+            $button.prop('disabled', false);
+            showNotice('Could not revoke sessions: ' + restErrorMessage(xhr), 'error');
+        });
+    }
+
+    /**
+     * Format a Unix timestamp for display
+     */
+    function formatTimestamp(timestamp) {
+        return new Date(timestamp * 1000).toLocaleString();
+    }
+
+    /**
+     * Cookie inspector state: the report from the admin cookies endpoint
+     */
+    let cookieReport = null;
+
+    /**
+     * Describe where a cookie setting comes from
+     */
+    const COOKIE_SOURCES = {
+        constant: 'wp-config.php constant',
+        filter: 'Filter',
+        settings: 'Saved setting',
+        environment: 'Environment default',
+        auto: 'Auto-detected'
+    };
+
+    /**
+     * Load the effective cookie configuration
+     */
+    async function loadCookieInspector() {
+        try {
+            const response = await restRequest('GET', 'jwt/v1/admin/cookies');
+            cookieReport = response.data;
+
+            $('#jwt-cookie-environment option[value=""]').text(`Current (${cookieReport.environment})`);
+            renderCookieInspector();
+        } catch (xhr) {
+            $('#jwt-cookie-config').html(
+                $('<tr>').append($('<td colspan="4">').text(`Could not load the cookie configuration: ${restErrorMessage(xhr)}`))
+            );
+        }
+    }
+
+    /**
+     * Render the configuration table and checks for the selected environment and origin
+     */
+    function renderCookieInspector() {
+        if (!cookieReport) {
+            return;
+        }
+
+        const environment = $('#jwt-cookie-environment').val();
+        const origin = $('#jwt-cookie-origin').val().trim();
+        const preview = JWTCookieInspector.previewConfig(cookieReport, environment);
+        const $rows = $('#jwt-cookie-config').empty();
+
+        Object.keys(cookieReport.config).forEach(key => {
+            const value = formatCookieValue(cookieReport.config[key]);
+            const previewValue = formatCookieValue(preview.config[key]);
+
+            $rows.append(
+                $('<tr>').append(
+                    $('<td>').append($('<code>').text(key)),
+                    $('<td>').text(value),
+                    $('<td>').text(COOKIE_SOURCES[cookieReport.sources[key]] || cookieReport.sources[key]),
+                    $('<td>').text(previewValue).toggleClass('is-changed', previewValue !== value)
+                )
+            );
+        });
+
+        const findings = JWTCookieInspector.analyze(preview.config, {
+            refreshUrl: cookieReport.refresh_url,
+            frontendOrigin: origin,
+            allowedOrigins: cookieReport.allowed_origins,
+            environment: environment || cookieReport.environment
+        });
+
+        const $findings = $('#jwt-cookie-findings').empty();
+        if (!findings.length) {
+            $findings.append($('<li>').text('No problems found.'));
+        }
+        findings.forEach(finding => {
+            $findings.append($('<li>').addClass(`is-${finding.level}`).text(finding.message));
+        });
+    }
+
+    /**
+     * Format a cookie setting for display
+     */
+    function formatCookieValue(value) {
+        if (typeof value === 'boolean') {
+            return value ? 'Yes' : 'No';
+        }
+        return value === '' ? '(not set)' : String(value);
+    }
+
+    /**
+     * Set a test cookie through the REST API and check that the browser sends it back
+     */
+    async function runCookieProbe(e) {
+        e.preventDefault();
+
+        const $button = $(this).prop('disabled', true);
+        const $result = $('#jwt-cookie-probe-result').empty();
+        const report = (status, message, detail) => {
+            $result.append(
+                $('<p>').append($('<strong>').text(`${status}: `), document.createTextNode(message)),
+                detail ? $('<pre>').text(detail) : ''
+            );
+        };
+
+        try {
+            const probe = (await restRequest('POST', 'jwt/v1/admin/cookies/probe')).data;
+            const readBack = (await restRequest('GET', 'jwt/v1/admin/cookies/probe', {
+                query: { expected: probe.value }
+            })).data;
+
+            if (readBack.matches) {
+                report('Pass', 'The browser stored the test cookie and sent it back to the REST API.', probe.set_cookie);
+            } else if (readBack.received) {
+                report('Fail', 'A test cookie came back with a different value (an older probe or another cookie with the same name).', probe.set_cookie);
+            } else {
+                report(
+                    'Fail',
+                    'The browser did not send the test cookie back. Check the Secure, SameSite, Path and Domain findings above.',
+                    probe.set_cookie || 'No Set-Cookie header was reported (cookies are not set in CLI requests).'
+                );
+            }
+        } catch (xhr) {
+            report('Error', restErrorMessage(xhr));
+        } finally {
+            $button.prop('disabled', false);
+        }
+    }
+
+    /**
+     * Event types shown on each activity chart, with their legend label and color
+     */
+    const ACTIVITY_CHARTS = {
+        tokens: [
+            { type: 'token_issued', label: 'Issued', color: '#00a32a' },
+            { type: 'token_refreshed', label: 'Refreshed', color: '#2271b1' },
+            { type: 'logout', label: 'Logouts', color: '#646970' }
+        ],
+        failures: [
+            { type: 'login_failed', label: 'Failed logins', color: '#d63638' },
+            { type: 'refresh_failed', label: 'Failed refreshes', color: '#dba617' },
+            { type: 'token_rejected', label: 'Rejected tokens', color: '#8c5fc5' }
+        ]
+    };
+
+    /**
+     * Load the event log aggregates for the selected period
+     */
+    async function loadActivity() {
+        const $summary = $('#jwt-activity-summary').removeClass('is-alert').text('Loading...');
+
+        try {
+            const response = await restRequest('GET', 'jwt/v1/admin/activity', {
+                query: { days: $('#jwt-activity-days').val() }
+            });
+            renderActivity(response.data);
+        } catch (xhr) {
+            $summary.text(`Could not load activity: ${restErrorMessage(xhr)}`);
+        }
+    }
+
+    /**
+     * Render the activity charts
+     */
+    function renderActivity(activity) {
+        Object.keys(ACTIVITY_CHARTS).forEach(chart => {
+            const series = ACTIVITY_CHARTS[chart].map(item => ({ ...item, values: activity.series[item.type] || [] }));
+
+            $(`.jwt-activity-legend[data-chart="${chart}"]`).empty().append(series.map(item =>
+                $('<li>').append(
+                    $('<span class="swatch">').css('background', item.color),
+                    document.createTextNode(`${item.label} (${activity.totals[item.type] || 0})`)
+                )
+            ));
+
+            $(`#jwt-activity-${chart}`).html(JWTActivityCharts.lineChart(
+                { buckets: activity.buckets, bucket: activity.bucket, utcOffset: activity.utc_offset, series },
+                { title: series.map(item => item.label).join(', ') }
+            ));
+        });
+
+        renderActivityRanking('#jwt-activity-sessions', activity.sessions_per_user.map(user => ({
+            label: user.login ? `${user.display_name} (${user.login})` : user.display_name,
+            value: user.sessions
+        })), 'No active sessions.', '#2271b1');
+
+        renderActivityRanking('#jwt-activity-ips', activity.top_failed_ips.map(source => ({
+            label: source.value || 'Unknown',
+            value: source.count
+        })), 'No failed attempts.', '#d63638');
+
+        renderActivityRanking('#jwt-activity-agents', activity.top_failed_agents.map(source => ({
+            label: source.value || 'Unknown',
+            value: source.count
+        })), 'No failed attempts.', '#d63638');
+
+        const failedLogins = activity.series.login_failed || [];
+        const busiest = JWTActivityCharts.peak(failedLogins);
+        const unit = activity.bucket < 86400 ? 'hour' : 'day';
+        const $summary = $('#jwt-activity-summary');
+
+        if (busiest.index === -1) {
+            $summary.text('No failed logins in this period.');
+            return;
+        }
+
+        // Flag a peak well above the typical bucket: the shape credential stuffing leaves.
+        const average = failedLogins.reduce((sum, value) => sum + value, 0) / failedLogins.length;
+        const when = JWTActivityCharts.formatBucket(activity.buckets[busiest.index], activity.bucket, activity.utc_offset);
+
+        $summary.toggleClass('is-alert', busiest.value >= 10 && busiest.value > average * 5)
+            .text(`${activity.totals.login_failed} failed login(s); busiest ${unit}: ${when} with ${busiest.value}.`);
+    }
+
+    /**
+     * Render a ranking as a bar chart, or a message when it is empty
+     */
+    function renderActivityRanking(selector, rows, emptyMessage, color) {
+        const $container = $(selector);
+
+        if (!rows.length) {
+            $container.empty().append($('<p class="description">').text(emptyMessage));
+            return;
+        }
+
+        $container.html(JWTActivityCharts.barChart(rows, { color }));
+    }
+
     /**
      * Copy to clipboard
      */
@@ -219,14 +1034,14 @@ jQuery(document).ready(function($) {
      * Show admin notice
      */
     function showNotice(message, type = 'info') {
+        // Messages can hold REST error messages, usernames and user agents: insert them as text.
         const $notice = $(`
             <div class="notice notice-${type} is-dismissible">
-                <p>${message}</p>
                 <button type="button" class="notice-dismiss">
                     <span class="screen-reader-text">Dismiss this notice.</span>
                 </button>
             </div>
-        `);
+        `).prepend($('<p>').text(message));
 
         $('.wp-header-end').after($notice);
 
@@ -237,13 +1052,25 @@ jQuery(document).ready(function($) {
     }
 
     /**
-     * Generate random string
+     * Generate a random secret with the Web Crypto API
+     *
+     * Rejection sampling keeps every character equally likely. The alphabet
+     * leaves out `%` (sanitize_text_field() strips percent-encoded octets) and
+     * quotes or backslashes, so the secret can be pasted into a PHP string as is.
      */
-    function generateRandomString(length) {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
+    function generateSecret(length) {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$^&*-_=+';
+        const limit = 256 - (256 % chars.length);
+        const bytes = new Uint8Array(length * 2);
         let result = '';
-        for (let i = 0; i < length; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+
+        while (result.length < length) {
+            window.crypto.getRandomValues(bytes);
+            for (let i = 0; i < bytes.length && result.length < length; i++) {
+                if (bytes[i] < limit) {
+                    result += chars.charAt(bytes[i] % chars.length);
+                }
+            }
         }
         return result;
     }
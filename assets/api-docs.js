@@ -0,0 +1,279 @@
+/**
+ * JWT Auth Pro - API Documentation Console
+ *
+ * Boots Swagger UI on the API Documentation tab and adds a login panel:
+ * the access token from /token is injected into every "Try it out" request
+ * to this site's REST API, refreshed through /refresh before it expires,
+ * and shown with its decoded claims and a countdown to expiry.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./jwt-auth-client.js').JWTAuthClient);
+    } else {
+        root.JWTAuthApiDocs = factory(root.JWTAuthClient);
+        root.addEventListener('load', () => root.JWTAuthApiDocs.boot(root));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(JWTAuthClient) {
+    'use strict';
+
+    /**
+     * Whether a request URL belongs to the site's REST API
+     *
+     * Only these requests get the access token; links to other pages of the
+     * site or to other hosts must not carry it.
+     *
+     * @param {string} url     Request URL.
+     * @param {string} restUrl REST API root, from `rest_url()`.
+     */
+    function isRestRequest(url, restUrl) {
+        return Boolean(restUrl) && String(url).indexOf(restUrl) === 0;
+    }
+
+    /**
+     * Format the time left until expiry as m:ss
+     *
+     * @param {number} milliseconds
+     */
+    function formatCountdown(milliseconds) {
+        const seconds = Math.max(0, Math.round(milliseconds / 1000));
+        const minutes = Math.floor(seconds / 60);
+
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Create the login panel behind the Swagger UI
+     *
+     * Set `ui` to the Swagger UI instance before calling `start()`.
+     *
+     * @param {Object}        options
+     * @param {Document}      options.document Document holding the login panel.
+     * @param {string}        options.restUrl  REST API root whose requests get the access token.
+     * @param {JWTAuthClient} [options.auth]   Client to log in with (default: one for `restUrl`).
+     * @returns {Object} The console: `authorizeRequest` is the Swagger UI request interceptor.
+     */
+    function createConsole(options) {
+        const document = options.document;
+        const auth = options.auth || new JWTAuthClient({ restUrl: options.restUrl });
+
+        let countdownTimer = null;
+
+        const element = id => document.getElementById(id);
+
+        const apiDocs = {
+            auth,
+            ui: null,
+
+            /**
+             * Bind the login panel and pick up an existing session from the refresh cookie
+             *
+             * @returns {Promise<void>} Resolves once the session check is done.
+             */
+            start() {
+                bindEvents();
+
+                return auth.refresh().then(() => auth.verify()).then(() => undefined, () => {
+                    // No session yet: the login form stays visible.
+                });
+            },
+
+            /**
+             * Swagger UI request interceptor: add the Bearer token to this site's REST requests
+             */
+            async authorizeRequest(request) {
+                if (!auth.isAuthenticated() || !isRestRequest(request.url, options.restUrl)) {
+                    return request;
+                }
+
+                // Refresh first if the token would expire mid-request.
+                if (auth.expiresAt - Date.now() < 5000) {
+                    try {
+                        await auth.refresh();
+                    } catch (e) {
+                        return request;
+                    }
+                }
+
+                request.headers.Authorization = `Bearer ${auth.getAccessToken()}`;
+                return request;
+            },
+
+            /**
+             * Stop the countdown and the silent refresh
+             */
+            destroy() {
+                clearInterval(countdownTimer);
+                auth.destroy();
+            }
+        };
+
+        /**
+         * Bind the login panel and client events
+         */
+        function bindEvents() {
+            element('jwt-api-docs-login').addEventListener('submit', login);
+            element('jwt-api-docs-refresh').addEventListener('click', refreshNow);
+            element('jwt-api-docs-logout').addEventListener('click', logout);
+
+            auth.on('login', showSession);
+            auth.on('verify', showSession);
+            auth.on('refresh', () => {
+                preauthorize();
+                showClaims();
+                setStatus('Access token refreshed.');
+            });
+            auth.on('logout', ({ reason }) => {
+                hideSession();
+                setStatus(reason === 'expired' ? 'Session expired. Log in again.' : 'Logged out.');
+            });
+        }
+
+        /**
+         * Log in through /token
+         */
+        async function login(e) {
+            e.preventDefault();
+
+            const form = e.target;
+            const button = form.querySelector('button[type="submit"]');
+
+            button.disabled = true;
+            setStatus('Logging in...');
+
+            try {
+                await auth.login(form.elements.username.value, form.elements.password.value);
+                form.elements.password.value = '';
+                setStatus('Logged in. "Try it out" requests now send your access token.');
+            } catch (error) {
+                setStatus(`Login failed: ${error.message}`, true);
+            } finally {
+                button.disabled = false;
+            }
+        }
+
+        /**
+         * Refresh the access token on demand
+         */
+        async function refreshNow() {
+            try {
+                await auth.refresh();
+            } catch (error) {
+                setStatus(`Refresh failed: ${error.message}`, true);
+            }
+        }
+
+        /**
+         * Log out through /logout
+         */
+        async function logout() {
+            try {
+                await auth.logout();
+            } catch (error) {
+                setStatus(`Logout failed: ${error.message}`, true);
+            }
+        }
+
+        /**
+         * Show the logged-in state
+         */
+        function showSession({ user }) {
+            element('jwt-api-docs-login').hidden = true;
+            element('jwt-api-docs-session').hidden = false;
+            element('jwt-api-docs-user').textContent = `${user.display_name} (${user.username})`;
+
+            preauthorize();
+            showClaims();
+
+            clearInterval(countdownTimer);
+            countdownTimer = setInterval(updateCountdown, 1000);
+            updateCountdown();
+        }
+
+        /**
+         * Show the logged-out state
+         */
+        function hideSession() {
+            clearInterval(countdownTimer);
+            element('jwt-api-docs-login').hidden = false;
+            element('jwt-api-docs-session').hidden = true;
+            apiDocs.ui.authActions.logout(['bearerAuth']);
+        }
+
+        /**
+         * Mark operations secured with bearerAuth as authorized in Swagger UI
+         */
+        function preauthorize() {
+            apiDocs.ui.preauthorizeApiKey('bearerAuth', auth.getAccessToken());
+        }
+
+        /**
+         * Render the decoded token claims
+         */
+        function showClaims() {
+            const decoded = JWTAuthClient.decodeToken(auth.getAccessToken());
+            const lines = Object.keys(decoded.claims).map(name => {
+                const value = decoded.claims[name];
+                const suffix = (name === 'iat' || name === 'exp') ? `  (${new Date(value * 1000).toLocaleString()})` : '';
+                return `${name}: ${JSON.stringify(value)}${suffix}`;
+            });
+
+            element('jwt-api-docs-claims').textContent =
+                `header: ${JSON.stringify(decoded.header)}\n` + lines.join('\n');
+        }
+
+        /**
+         * Update the countdown to expiry
+         */
+        function updateCountdown() {
+            element('jwt-api-docs-countdown').textContent = formatCountdown(auth.expiresAt - Date.now());
+        }
+
+        /**
+         * Show a status message
+         */
+        function setStatus(message, isError = false) {
+            const status = element('jwt-api-docs-status');
+            status.textContent = message;
+            status.classList.toggle('is-error', isError);
+        }
+
+        return apiDocs;
+    }
+
+    /**
+     * Boot Swagger UI and the login panel on the API Documentation tab
+     *
+     * @param {Window} win Window with Swagger UI and the localized `jwtAuthProApiDocs` settings.
+     */
+    function boot(win) {
+        const settings = win.jwtAuthProApiDocs || {};
+        const apiDocs = createConsole({ document: win.document, restUrl: settings.restUrl });
+
+        apiDocs.ui = win.ui = win.SwaggerUIBundle({
+            url: settings.specUrl,
+            urls: settings.specs.length > 1 ? settings.specs : undefined,
+            dom_id: '#swagger-ui',
+            deepLinking: true,
+            presets: [
+                win.SwaggerUIBundle.presets.apis,
+                win.SwaggerUIStandalonePreset
+            ],
+            plugins: [
+                win.SwaggerUIBundle.plugins.DownloadUrl
+            ],
+            layout: 'StandaloneLayout',
+            // The token lives in memory only; Swagger UI would persist it to localStorage.
+            persistAuthorization: false,
+            tryItOutEnabled: true,
+            requestInterceptor: apiDocs.authorizeRequest
+        });
+
+        apiDocs.start();
+        return apiDocs;
+    }
+
+    return { boot, createConsole, isRestRequest, formatCountdown };
+});
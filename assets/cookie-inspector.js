@@ -0,0 +1,188 @@
+/**
+ * JWT Auth Pro - Cookie Configuration Inspector
+ *
+ * Pure helpers behind the inspector on the Cookie Settings tab:
+ * - Preview the refresh cookie configuration for another environment
+ * - Check a configuration for combinations browsers reject or ignore
+ *   (SameSite=None without Secure, a path that excludes /refresh, ...)
+ * - Check whether a frontend origin will get the cookie sent back to /refresh
+ *
+ * The report it works on comes from `GET /wp-json/jwt/v1/admin/cookies`.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.JWTCookieInspector = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+    'use strict';
+
+    // Settings whose value follows the environment unless a constant, filter or saved setting pins it.
+    const ENVIRONMENT_SOURCES = ['environment', 'auto'];
+
+    /**
+     * Resolve the configuration for an environment
+     *
+     * Values pinned by a constant, filter or saved setting are kept; the others
+     * take the environment's defaults.
+     *
+     * @param {Object} report        Report from the admin cookies endpoint.
+     * @param {string} [environment] Environment to preview (default: the current one).
+     * @returns {{config: Object, sources: Object}}
+     */
+    function previewConfig(report, environment) {
+        const config = { ...report.config };
+        const sources = { ...report.sources };
+
+        if (!environment || environment === report.environment) {
+            return { config, sources };
+        }
+
+        const defaults = report.environments[environment] || {};
+        Object.keys(config).forEach(key => {
+            if (ENVIRONMENT_SOURCES.includes(sources[key]) && key in defaults) {
+                config[key] = defaults[key];
+                sources[key] = 'environment';
+            }
+        });
+
+        return { config, sources };
+    }
+
+    /**
+     * Whether a cookie with `cookiePath` is sent to `requestPath` (RFC 6265, section 5.1.4)
+     */
+    function pathMatches(requestPath, cookiePath) {
+        if (!cookiePath || requestPath === cookiePath) {
+            return true;
+        }
+        return requestPath.indexOf(cookiePath) === 0 &&
+            (cookiePath.slice(-1) === '/' || requestPath.charAt(cookiePath.length) === '/');
+    }
+
+    /**
+     * Whether a cookie with `domain` is stored for and sent to `host` (RFC 6265, section 5.1.3)
+     */
+    function domainMatches(host, domain) {
+        const bare = String(domain || '').replace(/^\./, '').toLowerCase();
+        host = host.toLowerCase();
+        return !bare || host === bare || host.slice(-(bare.length + 1)) === `.${bare}`;
+    }
+
+    /**
+     * Approximate the registrable domain ("site") of a host
+     *
+     * Uses the last two labels, so multi-part public suffixes such as co.uk are
+     * treated as one site. IP addresses and single-label hosts are their own site.
+     */
+    function siteOf(host) {
+        if (/^[\d.]+$/.test(host) || host.indexOf(':') !== -1 || host.indexOf('.') === -1) {
+            return host;
+        }
+        return host.split('.').slice(-2).join('.');
+    }
+
+    /**
+     * Check a cookie configuration
+     *
+     * @param {Object}   config                    Effective or previewed configuration.
+     * @param {Object}   context
+     * @param {string}   context.refreshUrl        Absolute URL of the /refresh endpoint.
+     * @param {string}   [context.frontendOrigin]  Origin of the app calling the API, e.g. https://app.example.com
+     * @param {string[]} [context.allowedOrigins]  CORS allowed origins.
+     * @param {string}   [context.environment]     Environment the configuration applies to.
+     * @returns {Array<{level: string, message: string}>} Findings, errors first.
+     */
+    function analyze(config, context) {
+        const findings = [];
+        const add = (level, message) => findings.push({ level, message });
+        const refresh = new URL(context.refreshUrl);
+        const samesite = String(config.samesite);
+
+        if (!config.enabled) {
+            add('warning', 'The refresh cookie is disabled, so /refresh cannot read a refresh token from it.');
+        }
+
+        if (['Strict', 'Lax', 'None'].indexOf(samesite) === -1) {
+            add('error', `SameSite must be Strict, Lax or None (got "${samesite}").`);
+        }
+
+        if (samesite === 'None' && !config.secure) {
+            add('error', 'SameSite=None requires Secure: browsers reject the cookie.');
+        }
+
+        if (config.secure && refresh.protocol !== 'https:') {
+            add('error', 'Secure cookies are not stored over HTTP, and this site\'s REST API is served over HTTP.');
+        }
+
+        if (!config.httponly) {
+            add('warning', 'HttpOnly is off: scripts on the page can read the refresh token.');
+        }
+
+        if (!pathMatches(refresh.pathname, config.path)) {
+            add('error', `Path "${config.path}" does not cover the refresh endpoint (${refresh.pathname}), so the cookie is never sent to it.`);
+        }
+
+        if (!domainMatches(refresh.hostname, config.domain)) {
+            add('error', `Domain "${config.domain}" does not match this site's host (${refresh.hostname}): browsers reject the cookie.`);
+        } else if (config.domain) {
+            add('info', `Domain "${config.domain}" shares the cookie with every subdomain of ${String(config.domain).replace(/^\./, '')}.`);
+        }
+
+        if (samesite === 'None' && context.environment === 'production') {
+            add('warning', 'SameSite=None in production sends the cookie on every cross-site request; only use it for cross-site frontends.');
+        }
+
+        if (context.frontendOrigin) {
+            analyzeOrigin(config, refresh, context, add);
+        }
+
+        const order = { error: 0, warning: 1, info: 2 };
+        return findings.sort((a, b) => order[a.level] - order[b.level]);
+    }
+
+    /**
+     * Check whether requests from a frontend origin get the cookie sent to /refresh
+     */
+    function analyzeOrigin(config, refresh, context, add) {
+        let frontend;
+        try {
+            frontend = new URL(context.frontendOrigin);
+        } catch (e) {
+            add('error', `"${context.frontendOrigin}" is not a valid origin (expected e.g. https://app.example.com).`);
+            return;
+        }
+
+        const origin = frontend.origin;
+
+        if (origin === refresh.origin) {
+            add('info', `${origin} is the same origin as the REST API: the cookie is sent with any SameSite value.`);
+            return;
+        }
+
+        const allowed = context.allowedOrigins || [];
+        if (allowed.indexOf('*') === -1 && allowed.indexOf(origin) === -1) {
+            add('warning', `${origin} is not in the CORS allowed origins, so the browser blocks its credentialed requests.`);
+        }
+
+        // Schemeful same-site: scheme and registrable domain must both match.
+        const sameSite = frontend.protocol === refresh.protocol && siteOf(frontend.hostname) === siteOf(refresh.hostname);
+
+        if (sameSite) {
+            add('info', `${origin} is cross-origin but same-site: SameSite=${config.samesite} cookies are sent with credentials: 'include'.`);
+            return;
+        }
+
+        if (String(config.samesite) !== 'None') {
+            add('error', `${origin} is cross-site: SameSite=${config.samesite} cookies are not sent to /refresh. Use SameSite=None with Secure.`);
+        } else {
+            add('warning', `${origin} is cross-site: the cookie is a third-party cookie there, which some browsers block regardless of SameSite.`);
+        }
+    }
+
+    return { previewConfig, analyze, pathMatches, domainMatches, siteOf };
+});
@@ -0,0 +1,376 @@
+/**
+ * JWT Auth Pro - Browser Client
+ *
+ * Small dependency-free client for the JWT Auth Pro REST endpoints:
+ * - Keeps the access token in memory only (never in localStorage)
+ * - Silently refreshes shortly before `expires_in` using the HttpOnly refresh cookie
+ * - Refreshes and retries once when a request is rejected with `invalid_token`
+ * - De-duplicates concurrent refreshes so the refresh token is rotated only once
+ * - Emits `login`, `logout`, `refresh` and `verify` events
+ *
+ * Usage:
+ *   const auth = new JWTAuthClient({ restUrl: 'https://example.com/wp-json/' });
+ *   await auth.login('username', 'password');
+ *   const response = await auth.fetch('wp/v2/posts?status=draft');
+ *
+ * In WordPress, enqueue the `jwt-auth-pro-client` script handle; `restUrl`
+ * then defaults to the site's REST API root.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        const exported = factory(root);
+        root.JWTAuthClient = exported.JWTAuthClient;
+        root.JWTAuthError = exported.JWTAuthError;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(root) {
+    'use strict';
+
+    const NAMESPACE = 'jwt/v1/';
+
+    /**
+     * Error raised for failed authentication requests
+     *
+     * `code` mirrors the WP_Error code returned by the plugin
+     * (e.g. `invalid_credentials`, `invalid_refresh_token`).
+     */
+    class JWTAuthError extends Error {
+        constructor(code, message, status, data) {
+            super(message);
+            this.name = 'JWTAuthError';
+            this.code = code;
+            this.status = status;
+            this.data = data || {};
+        }
+    }
+
+    /**
+     * Build a JWTAuthError from a REST API response
+     */
+    async function errorFromResponse(response) {
+        let body = {};
+        try {
+            body = await response.json();
+        } catch (e) {
+            // Non-JSON error body, fall back to the HTTP status.
+        }
+        return new JWTAuthError(
+            body.code || 'http_error',
+            body.message || `Request failed with status ${response.status}`,
+            response.status,
+            body.data
+        );
+    }
+
+    class JWTAuthClient {
+        /**
+         * @param {Object}   [options]
+         * @param {string}   [options.restUrl]       REST API root, e.g. https://example.com/wp-json/
+         * @param {number}   [options.refreshMargin] Seconds before expiry to refresh silently (default 60)
+         * @param {string}   [options.credentials]   Fetch credentials mode for the refresh cookie (default 'include')
+         * @param {Function} [options.fetch]         Fetch implementation (default global fetch)
+         */
+        constructor(options = {}) {
+            const settings = root.jwtAuthProClientSettings || {};
+
+            this.restUrl = options.restUrl || settings.restUrl || '/wp-json/';
+            this.refreshMargin = options.refreshMargin === undefined ? 60 : options.refreshMargin;
+            this.credentials = options.credentials || 'include';
+            this.fetchImpl = options.fetch || root.fetch.bind(root);
+
+            this.accessToken = null;
+            this.expiresAt = 0;
+            this.user = null;
+
+            this.listeners = {};
+            this.refreshPromise = null;
+            this.refreshTimer = null;
+            this.refreshStrategy = null;
+        }
+
+        /**
+         * Subscribe to an event; returns an unsubscribe function
+         */
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => this.off(event, handler);
+        }
+
+        /**
+         * Unsubscribe from an event
+         */
+        off(event, handler) {
+            this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        }
+
+        /**
+         * Notify event listeners
+         */
+        emit(event, detail) {
+            (this.listeners[event] || []).slice().forEach(handler => handler(detail));
+        }
+
+        /**
+         * Resolve a route (e.g. `wp/v2/posts`) or absolute URL against the REST root
+         */
+        url(route) {
+            if (/^https?:\/\//i.test(route)) {
+                return route;
+            }
+
+            let url = this.restUrl.replace(/\/?$/, '/') + route.replace(/^\//, '');
+
+            // Plain permalinks: the REST root already carries a query string (?rest_route=/).
+            const firstQuery = url.indexOf('?');
+            if (firstQuery !== -1) {
+                url = url.slice(0, firstQuery + 1) + url.slice(firstQuery + 1).replace(/\?/g, '&');
+            }
+            return url;
+        }
+
+        /**
+         * Send a request to one of the plugin's endpoints
+         */
+        async request(path, init = {}) {
+            const response = await this.fetchImpl(this.url(NAMESPACE + path), {
+                credentials: this.credentials,
+                ...init,
+                headers: { Accept: 'application/json', ...(init.headers || {}) }
+            });
+
+            if (!response.ok) {
+                throw await errorFromResponse(response);
+            }
+            return response.json();
+        }
+
+        /**
+         * Log in with a username and password
+         *
+         * @returns {Promise<Object>} The user returned by the token endpoint.
+         */
+        async login(username, password) {
+            const body = await this.request('token', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+
+            this.setToken(body.data.access_token, body.data.expires_in);
+            this.user = body.data.user;
+            this.emit('login', { user: this.user });
+            return this.user;
+        }
+
+        /**
+         * Exchange the refresh cookie for a new access token
+         *
+         * Concurrent callers share one request: the refresh token is rotated
+         * on every call, so a second parallel request would present an
+         * already-revoked token and end the session.
+         *
+         * @returns {Promise<string>} The new access token.
+         */
+        refresh() {
+            if (!this.refreshPromise) {
+                const performRefresh = () => this.performRefresh();
+                const refreshing = this.refreshStrategy ? this.refreshStrategy(performRefresh) : performRefresh();
+
+                this.refreshPromise = refreshing.finally(() => {
+                    this.refreshPromise = null;
+                });
+            }
+            return this.refreshPromise;
+        }
+
+        /**
+         * Wrap how refreshes are performed, e.g. to coordinate them across tabs
+         *
+         * The strategy receives a function that calls the refresh endpoint and
+         * must resolve with the access token to use.
+         *
+         * @param {Function|null} strategy
+         */
+        setRefreshStrategy(strategy) {
+            this.refreshStrategy = strategy;
+        }
+
+        /**
+         * Call the refresh endpoint
+         */
+        async performRefresh() {
+            let body;
+            try {
+                body = await this.request('refresh', { method: 'POST' });
+            } catch (error) {
+                if (error.status === 401) {
+                    this.clearSession('expired');
+                }
+                throw error;
+            }
+
+            this.setToken(body.data.access_token, body.data.expires_in);
+            this.emit('refresh', { expiresIn: body.data.expires_in });
+            return this.accessToken;
+        }
+
+        /**
+         * Log out: revoke the refresh token and forget the access token
+         */
+        async logout() {
+            try {
+                await this.request('logout', { method: 'POST' });
+            } finally {
+                this.clearSession('logout');
+            }
+        }
+
+        /**
+         * Verify the current access token
+         *
+         * @returns {Promise<Object>} The authenticated user.
+         */
+        async verify() {
+            const response = await this.fetch(NAMESPACE + 'verify');
+            if (!response.ok) {
+                throw await errorFromResponse(response);
+            }
+
+            const body = await response.json();
+            this.user = body.data.user;
+            this.emit('verify', { user: this.user });
+            return this.user;
+        }
+
+        /**
+         * Fetch a REST route with the access token attached
+         *
+         * A 401 `invalid_token` response triggers one refresh and retry.
+         *
+         * @returns {Promise<Response>}
+         */
+        async fetch(route, init = {}) {
+            if (!this.accessToken) {
+                await this.refresh();
+            }
+
+            const send = () => this.fetchImpl(this.url(route), {
+                ...init,
+                headers: { ...(init.headers || {}), Authorization: `Bearer ${this.accessToken}` }
+            });
+
+            const sentWith = this.accessToken;
+            const response = await send();
+
+            if (response.status !== 401 || !(await isInvalidToken(response))) {
+                return response;
+            }
+
+            // Another request may already have refreshed while this one was in flight.
+            if (this.accessToken === sentWith) {
+                await this.refresh();
+            }
+            return send();
+        }
+
+        /**
+         * Whether an access token is held
+         */
+        isAuthenticated() {
+            return Boolean(this.accessToken);
+        }
+
+        /**
+         * Get the in-memory access token
+         */
+        getAccessToken() {
+            return this.accessToken;
+        }
+
+        /**
+         * Store a new access token and schedule the silent refresh
+         */
+        setToken(accessToken, expiresIn) {
+            this.accessToken = accessToken;
+            this.expiresAt = Date.now() + expiresIn * 1000;
+            this.scheduleRefresh(expiresIn);
+        }
+
+        /**
+         * Refresh `refreshMargin` seconds before expiry (at the latest halfway through)
+         */
+        scheduleRefresh(expiresIn) {
+            clearTimeout(this.refreshTimer);
+
+            const delay = Math.max(0, expiresIn - Math.min(this.refreshMargin, expiresIn / 2)) * 1000;
+            this.refreshTimer = setTimeout(() => {
+                this.refresh().catch(() => {
+                    // A failed silent refresh already cleared the session and emitted `logout`.
+                });
+            }, delay);
+        }
+
+        /**
+         * Forget the session and notify listeners
+         */
+        clearSession(reason) {
+            const wasAuthenticated = this.isAuthenticated();
+
+            this.destroy();
+            this.accessToken = null;
+            this.expiresAt = 0;
+            this.user = null;
+
+            if (wasAuthenticated || reason === 'logout') {
+                this.emit('logout', { reason });
+            }
+        }
+
+        /**
+         * Stop the silent refresh timer
+         */
+        destroy() {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+
+        /**
+         * Decode a JWT's header and claims for display (the signature is not checked)
+         *
+         * @returns {{header: Object, claims: Object}}
+         */
+        static decodeToken(token) {
+            const parts = String(token).split('.');
+            if (parts.length !== 3) {
+                throw new Error('Token does not have three segments');
+            }
+
+            const decode = segment => {
+                const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+                const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+                const bytes = Uint8Array.from(root.atob(padded), c => c.charCodeAt(0));
+                return JSON.parse(new TextDecoder().decode(bytes));
+            };
+
+            return { header: decode(parts[0]), claims: decode(parts[1]) };
+        }
+    }
+
+    /**
+     * Whether a 401 response was caused by an invalid or expired access token
+     */
+    async function isInvalidToken(response) {
+        try {
+            const body = await response.clone().json();
+            return body.code === 'invalid_token';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    return { JWTAuthClient, JWTAuthError };
+});
@@ -0,0 +1,392 @@
+/**
+ * JWT Auth Pro - Login Web Component
+ *
+ * Framework-free `<jwt-auth-login>` custom element for front-ends that are not
+ * rendered by WordPress (static sites, embedded content):
+ * - Accessible login form that posts to `/jwt/v1/token`
+ * - Friendly messages for the plugin's error codes (`invalid_credentials`, ...)
+ * - Shows the logged-in user and a logout button that calls `/jwt/v1/logout`
+ * - Emits `jwt-auth-login`, `jwt-auth-logout` and `jwt-auth-error` DOM events
+ *
+ * Built on JWTAuthClient (assets/jwt-auth-client.js), which must be loaded first.
+ *
+ * Usage:
+ *   <jwt-auth-login rest-url="https://example.com/wp-json/" restore-session></jwt-auth-login>
+ *
+ *   document.querySelector('jwt-auth-login').addEventListener('jwt-auth-login', event => {
+ *       console.log('Hello', event.detail.user.display_name);
+ *   });
+ *
+ * Attributes:
+ *   rest-url        REST API root of the WordPress site (default: this site's, when enqueued in WordPress)
+ *   credentials     Fetch credentials mode for the refresh cookie (default "include", needed cross-origin)
+ *   restore-session Try the refresh cookie on load and show the user if the session is still valid
+ *
+ * In WordPress, enqueue the `jwt-auth-pro-login` script handle.
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./jwt-auth-client.js').JWTAuthClient);
+    } else {
+        root.JWTAuthLogin = factory(root.JWTAuthClient);
+        root.JWTAuthLogin.define(root);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(JWTAuthClient) {
+    'use strict';
+
+    /**
+     * Friendly messages for the error codes returned by the plugin
+     */
+    const ERROR_MESSAGES = {
+        missing_credentials: 'Please enter your username and password.',
+        invalid_credentials: 'The username or password is incorrect.',
+        missing_refresh_token: 'Your session has expired. Please log in again.',
+        invalid_refresh_token: 'Your session has expired. Please log in again.',
+        invalid_user: 'This account is no longer available.',
+        configuration_error: 'Login is not available right now. Please try again later.',
+        rest_no_route: 'The login service could not be found. Check the REST API URL.',
+        network_error: 'Could not reach the server. Check your connection and try again.'
+    };
+
+    const DEFAULT_MESSAGE = 'Login failed. Please try again.';
+
+    const TEMPLATE = `
+        <style>
+            :host { display: block; }
+            :host([hidden]), [hidden] { display: none !important; }
+            form, .session { display: grid; gap: 0.5em; max-width: 20em; }
+            input { font: inherit; padding: 0.4em; }
+            button { font: inherit; padding: 0.4em 1em; justify-self: start; }
+            .error { margin: 0; color: #b32d2e; }
+        </style>
+        <form part="form" novalidate>
+            <p part="error" class="error" role="alert" hidden></p>
+            <label part="label" for="username">Username or email</label>
+            <input part="input" id="username" name="username" autocomplete="username" required>
+            <label part="label" for="password">Password</label>
+            <input part="input" id="password" name="password" type="password" autocomplete="current-password" required>
+            <button part="button" type="submit">Log in</button>
+        </form>
+        <div part="session" class="session" hidden>
+            <p part="user">Logged in as <strong part="user-name"></strong> <span part="user-email"></span></p>
+            <button part="button logout" type="button">Log out</button>
+        </div>
+    `;
+
+    /**
+     * Get the friendly message for an error
+     *
+     * @param {Object} error  JWTAuthError, or a network error without a `code`.
+     * @param {Object} [messages] Overrides for ERROR_MESSAGES.
+     * @returns {string}
+     */
+    function friendlyMessage(error, messages = {}) {
+        const all = { ...ERROR_MESSAGES, ...messages };
+        return all[errorCode(error)] || DEFAULT_MESSAGE;
+    }
+
+    /**
+     * Get the plugin error code of an error; fetch failures become `network_error`
+     */
+    function errorCode(error) {
+        if (error && error.code) {
+            return error.code;
+        }
+        return error instanceof TypeError ? 'network_error' : 'unknown_error';
+    }
+
+    /**
+     * Define the element on a window
+     *
+     * Runs automatically in the browser. Call it yourself for another tag name,
+     * or with a DOM implementation such as jsdom in tests.
+     *
+     * @param {Window} win       Window whose HTMLElement and customElements are used.
+     * @param {string} [tagName] Element name (default `jwt-auth-login`).
+     * @returns {Function} The element class.
+     */
+    function define(win, tagName = 'jwt-auth-login') {
+        const existing = win.customElements.get(tagName);
+        if (existing) {
+            return existing;
+        }
+
+        class JWTAuthLoginElement extends win.HTMLElement {
+            static get observedAttributes() {
+                return ['rest-url', 'credentials'];
+            }
+
+            constructor() {
+                super();
+
+                this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+                this.messages = {};
+                this.authClient = null;
+                this.ownsClient = false;
+                this.unsubscribe = [];
+
+                const shadow = this.shadowRoot;
+                this.elements = {
+                    form: shadow.querySelector('form'),
+                    error: shadow.querySelector('[part="error"]'),
+                    username: shadow.querySelector('#username'),
+                    password: shadow.querySelector('#password'),
+                    submit: shadow.querySelector('button[type="submit"]'),
+                    session: shadow.querySelector('.session'),
+                    userName: shadow.querySelector('[part="user-name"]'),
+                    userEmail: shadow.querySelector('[part="user-email"]'),
+                    logout: shadow.querySelector('[part~="logout"]')
+                };
+
+                this.elements.form.addEventListener('submit', event => {
+                    event.preventDefault();
+                    this.login(this.elements.username.value.trim(), this.elements.password.value).catch(() => {
+                        // Reported through the error message and the jwt-auth-error event.
+                    });
+                });
+
+                this.elements.logout.addEventListener('click', () => {
+                    this.logout().catch(() => {
+                        // The local session is cleared even when /logout cannot be reached.
+                    });
+                });
+            }
+
+            connectedCallback() {
+                this.listen();
+
+                if (this.hasAttribute('restore-session') && !this.client.isAuthenticated()) {
+                    this.restoreSession();
+                }
+            }
+
+            disconnectedCallback() {
+                this.unsubscribe.forEach(off => off());
+                this.unsubscribe = [];
+
+                if (this.ownsClient && this.authClient) {
+                    this.authClient.destroy();
+                }
+            }
+
+            attributeChangedCallback(name, oldValue, newValue) {
+                // Rebuild our own client with the new settings on next use; a client set by the host page is kept.
+                if (oldValue !== newValue && this.ownsClient && this.authClient) {
+                    this.disconnectedCallback();
+                    this.authClient = null;
+                    if (this.isConnected) {
+                        this.listen();
+                    }
+                }
+            }
+
+            /**
+             * The JWTAuthClient behind the element
+             *
+             * Use it to call the REST API with the access token (`element.client.fetch(...)`),
+             * or set your own client, e.g. one shared with JWTAuthSync.
+             */
+            get client() {
+                if (!this.authClient) {
+                    this.authClient = new JWTAuthClient({
+                        restUrl: this.getAttribute('rest-url') || undefined,
+                        credentials: this.getAttribute('credentials') || undefined
+                    });
+                    this.ownsClient = true;
+                }
+                return this.authClient;
+            }
+
+            set client(client) {
+                this.disconnectedCallback();
+                this.authClient = client;
+                this.ownsClient = false;
+
+                if (this.isConnected) {
+                    this.listen();
+                }
+                this.render(client.isAuthenticated() ? client.user : null);
+            }
+
+            /**
+             * The logged-in user, as returned by the token endpoint, or null
+             */
+            get user() {
+                return this.authClient ? this.authClient.user : null;
+            }
+
+            /**
+             * Log in
+             *
+             * @returns {Promise<Object>} The user.
+             */
+            async login(username, password) {
+                if (!username || !password) {
+                    const error = new Error('Username and password are required');
+                    error.code = 'missing_credentials';
+                    this.fail(error);
+                    throw error;
+                }
+
+                let user;
+                this.setBusy(true);
+                try {
+                    // The client's `login` event renders the user and dispatches jwt-auth-login.
+                    user = await this.client.login(username, password);
+                } catch (error) {
+                    this.fail(error);
+                    throw error;
+                } finally {
+                    this.setBusy(false);
+                }
+
+                this.elements.logout.focus();
+                return user;
+            }
+
+            /**
+             * Log out: revoke the refresh token and forget the access token
+             */
+            async logout() {
+                this.setBusy(true);
+                try {
+                    await this.client.logout();
+                } catch (error) {
+                    this.fail(error, { silent: true });
+                    throw error;
+                } finally {
+                    this.setBusy(false);
+                    this.elements.username.focus();
+                }
+            }
+
+            /**
+             * Resume a session from the refresh cookie, if there is one
+             *
+             * @returns {Promise<Object|null>} The user, or null when there is no valid session.
+             */
+            async restoreSession() {
+                this.setBusy(true);
+                try {
+                    await this.client.refresh();
+                    const user = await this.client.verify();
+
+                    this.render(user);
+                    this.emit('jwt-auth-login', { user, restored: true });
+                    return user;
+                } catch (error) {
+                    // No session to restore is the normal case for a visitor.
+                    return null;
+                } finally {
+                    this.setBusy(false);
+                }
+            }
+
+            /**
+             * Follow the client's login and logout events, including ones started elsewhere
+             */
+            listen() {
+                if (this.unsubscribe.length) {
+                    return;
+                }
+
+                const client = this.client;
+                this.unsubscribe = [
+                    client.on('login', detail => {
+                        this.render(detail.user);
+                        this.emit('jwt-auth-login', { user: detail.user, restored: false });
+                    }),
+                    client.on('logout', detail => {
+                        this.render(null);
+                        this.emit('jwt-auth-logout', { reason: detail.reason });
+                    })
+                ];
+            }
+
+            /**
+             * Show the login form, or the user with the logout button
+             */
+            render(user) {
+                const { form, session, password, userName, userEmail } = this.elements;
+
+                form.hidden = Boolean(user);
+                session.hidden = !user;
+                password.value = '';
+
+                if (user) {
+                    this.showError('');
+                    userName.textContent = user.display_name || user.username || '';
+                    userEmail.textContent = user.email ? `(${user.email})` : '';
+                } else {
+                    userName.textContent = '';
+                    userEmail.textContent = '';
+                }
+            }
+
+            /**
+             * Report a failed request
+             */
+            fail(error, options = {}) {
+                const code = errorCode(error);
+                const message = friendlyMessage(error, this.messages);
+
+                if (!options.silent) {
+                    this.showError(message, code);
+                }
+
+                this.emit('jwt-auth-error', { code, message, status: error.status || 0, error });
+            }
+
+            /**
+             * Show a message above the form and mark the fields it concerns
+             */
+            showError(message, code) {
+                const { error, username, password } = this.elements;
+                const credentials = ['missing_credentials', 'invalid_credentials'].includes(code);
+
+                error.textContent = message;
+                error.hidden = !message;
+
+                [username, password].forEach(input => {
+                    if (credentials && message) {
+                        input.setAttribute('aria-invalid', 'true');
+                    } else {
+                        input.removeAttribute('aria-invalid');
+                    }
+                });
+
+                if (code === 'missing_credentials') {
+                    (username.value.trim() ? password : username).focus();
+                }
+            }
+
+            /**
+             * Disable the controls while a request is in flight
+             */
+            setBusy(busy) {
+                const { form, username, password, submit, logout } = this.elements;
+
+                this.toggleAttribute('busy', busy);
+                form.setAttribute('aria-busy', String(busy));
+                [username, password, submit, logout].forEach(control => {
+                    control.disabled = busy;
+                });
+            }
+
+            /**
+             * Dispatch a DOM event from the element
+             */
+            emit(type, detail) {
+                this.dispatchEvent(new win.CustomEvent(type, { detail, bubbles: true, composed: true }));
+            }
+        }
+
+        win.customElements.define(tagName, JWTAuthLoginElement);
+        return JWTAuthLoginElement;
+    }
+
+    return { define, friendlyMessage, ERROR_MESSAGES };
+});
@@ -0,0 +1,308 @@
+/**
+ * JWT Auth Pro - Cross-Tab Session Sync
+ *
+ * Coordinates a JWTAuthClient across the browser tabs of one site:
+ * - Only one tab calls /refresh at a time; the new access token is shared with
+ *   the other tabs instead of each of them rotating the refresh token
+ * - A login in one tab signs the other tabs in
+ * - A logout (or an expired session) in one tab signs out every tab
+ *
+ * Messages travel over BroadcastChannel, falling back to `storage` events
+ * where BroadcastChannel is unavailable. The fallback writes each message to
+ * localStorage and removes it immediately, so an access token only touches
+ * storage for the duration of that write.
+ *
+ * Usage:
+ *   const auth = new JWTAuthClient({ restUrl: 'https://example.com/wp-json/' });
+ *   const sync = new JWTAuthSync(auth);
+ *
+ * In WordPress, enqueue the `jwt-auth-pro-sync` script handle (it depends on
+ * `jwt-auth-pro-client`).
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, require('./jwt-auth-client.js'));
+    } else {
+        root.JWTAuthSync = factory(root, root).JWTAuthSync;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(root, client) {
+    'use strict';
+
+    const { JWTAuthError } = client;
+
+    class JWTAuthSync {
+        /**
+         * @param {JWTAuthClient} auth      Client to coordinate.
+         * @param {Object}   [options]
+         * @param {string}   [options.name]        Channel and storage key prefix (default 'jwt-auth-pro')
+         * @param {number}   [options.lockTimeout] Milliseconds a refreshing tab may hold the lock (default 10000)
+         * @param {Storage}  [options.storage]     Storage for the refresh lock and fallback transport (default localStorage)
+         * @param {Object}   [options.channel]     BroadcastChannel-like object; `false` forces the storage fallback
+         * @param {EventTarget} [options.eventTarget] Target receiving `storage` events (default window)
+         */
+        constructor(auth, options = {}) {
+            this.auth = auth;
+            this.name = options.name || 'jwt-auth-pro';
+            this.lockTimeout = options.lockTimeout || 10000;
+            this.storage = options.storage || root.localStorage;
+            this.eventTarget = options.eventTarget || root;
+            this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+            this.lockKey = `${this.name}:refresh-lock`;
+            this.messageKey = `${this.name}:message`;
+
+            this.applyingRemote = false;
+            this.lastSharedAt = 0;
+            this.waiters = [];
+
+            this.openTransport(options.channel);
+
+            this.unsubscribe = [
+                auth.on('login', () => this.publishToken('login')),
+                auth.on('refresh', () => this.publishToken('refresh')),
+                auth.on('logout', ({ reason }) => this.publish({ type: 'logout', reason }))
+            ];
+
+            auth.setRefreshStrategy(performRefresh => this.refresh(performRefresh));
+        }
+
+        /**
+         * Open BroadcastChannel, or listen for storage events as a fallback
+         */
+        openTransport(channel) {
+            if (channel === undefined && typeof root.BroadcastChannel === 'function') {
+                channel = new root.BroadcastChannel(this.name);
+            }
+
+            if (channel) {
+                this.channel = channel;
+                this.onChannelMessage = event => this.receive(event.data);
+                channel.addEventListener('message', this.onChannelMessage);
+                return;
+            }
+
+            this.onStorage = event => {
+                if (event.key === this.messageKey && event.newValue) {
+                    this.receive(JSON.parse(event.newValue));
+                }
+            };
+            this.eventTarget.addEventListener('storage', this.onStorage);
+        }
+
+        /**
+         * Send a message to the other tabs
+         */
+        publish(message) {
+            if (this.applyingRemote) {
+                return;
+            }
+
+            message = { ...message, tabId: this.tabId };
+
+            if (this.channel) {
+                this.channel.postMessage(message);
+                return;
+            }
+
+            // Storage events only fire for changes, so each message carries a unique stamp.
+            this.storage.setItem(this.messageKey, JSON.stringify({ ...message, stamp: Math.random() }));
+            this.storage.removeItem(this.messageKey);
+        }
+
+        /**
+         * Share the current access token with the other tabs
+         */
+        publishToken(type) {
+            this.publish({
+                type: type,
+                accessToken: this.auth.getAccessToken(),
+                expiresAt: this.auth.expiresAt,
+                user: type === 'login' ? this.auth.user : undefined
+            });
+        }
+
+        /**
+         * Apply a message from another tab
+         */
+        receive(message) {
+            if (!message || message.tabId === this.tabId) {
+                return;
+            }
+
+            this.applyingRemote = true;
+            try {
+                if (message.type === 'login' || message.type === 'refresh') {
+                    this.applyToken(message);
+                } else if (message.type === 'logout') {
+                    this.auth.clearSession(message.reason);
+                } else if (message.type === 'refresh-failed') {
+                    this.settleWaiters(null);
+                    return;
+                }
+            } finally {
+                this.applyingRemote = false;
+            }
+
+            if (message.type === 'logout') {
+                this.settleWaiters(null, new JWTAuthError('session_ended', 'Signed out in another tab', 401));
+            }
+        }
+
+        /**
+         * Adopt an access token issued in another tab
+         */
+        applyToken(message) {
+            const expiresIn = Math.max(0, (message.expiresAt - Date.now()) / 1000);
+            const wasAuthenticated = this.auth.isAuthenticated();
+
+            this.auth.setToken(message.accessToken, expiresIn);
+
+            if (message.type === 'login' || !wasAuthenticated) {
+                this.auth.user = message.user || this.auth.user;
+                this.auth.emit('login', { user: this.auth.user });
+            } else {
+                this.auth.emit('refresh', { expiresIn });
+            }
+
+            this.settleWaiters(message.accessToken);
+        }
+
+        /**
+         * Refresh strategy: refresh in this tab if it wins the lock, otherwise
+         * wait for the tab holding it to share its new token
+         */
+        async refresh(performRefresh) {
+            const requestedAt = Date.now();
+
+            for (;;) {
+                if (this.acquireLock()) {
+                    try {
+                        // Another tab may have shared a fresh token while this one waited for the lock.
+                        if (this.lastSharedAt >= requestedAt && this.auth.isAuthenticated()) {
+                            return this.auth.getAccessToken();
+                        }
+                        return await performRefresh();
+                    } catch (error) {
+                        if (error.status !== 401) {
+                            this.publish({ type: 'refresh-failed' });
+                        }
+                        throw error;
+                    } finally {
+                        this.releaseLock();
+                    }
+                }
+
+                const token = await this.waitForToken();
+                if (token) {
+                    return token;
+                }
+                // The refreshing tab failed or went away: try to take over the lock.
+            }
+        }
+
+        /**
+         * Resolve with the next shared token, or null when the lock holder
+         * gives up or its lock expires
+         */
+        waitForToken() {
+            return new Promise((resolve, reject) => {
+                const waiter = { resolve, reject };
+                waiter.timer = setTimeout(() => this.settleWaiter(waiter, null), this.lockRemaining());
+                this.waiters.push(waiter);
+            });
+        }
+
+        /**
+         * Settle every pending waiter
+         */
+        settleWaiters(token, error) {
+            if (token) {
+                this.lastSharedAt = Date.now();
+            }
+            this.waiters.slice().forEach(waiter => this.settleWaiter(waiter, token, error));
+        }
+
+        /**
+         * Settle one pending waiter
+         */
+        settleWaiter(waiter, token, error) {
+            clearTimeout(waiter.timer);
+            this.waiters = this.waiters.filter(w => w !== waiter);
+
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve(token);
+            }
+        }
+
+        /**
+         * Read the refresh lock
+         */
+        readLock() {
+            try {
+                return JSON.parse(this.storage.getItem(this.lockKey)) || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Milliseconds until the current lock expires
+         */
+        lockRemaining() {
+            const lock = this.readLock();
+            return lock ? Math.max(0, lock.expires - Date.now()) : 0;
+        }
+
+        /**
+         * Take the refresh lock unless another tab holds an unexpired one
+         */
+        acquireLock() {
+            const lock = this.readLock();
+            if (lock && lock.owner !== this.tabId && lock.expires > Date.now()) {
+                return false;
+            }
+
+            this.storage.setItem(this.lockKey, JSON.stringify({ owner: this.tabId, expires: Date.now() + this.lockTimeout }));
+
+            // Read back: if two tabs wrote at once, only the last writer owns the lock.
+            const written = this.readLock();
+            return Boolean(written) && written.owner === this.tabId;
+        }
+
+        /**
+         * Release the refresh lock if this tab holds it
+         */
+        releaseLock() {
+            const lock = this.readLock();
+            if (lock && lock.owner === this.tabId) {
+                this.storage.removeItem(this.lockKey);
+            }
+        }
+
+        /**
+         * Stop syncing this tab
+         */
+        destroy() {
+            this.unsubscribe.forEach(unsubscribe => unsubscribe());
+            this.auth.setRefreshStrategy(null);
+            this.settleWaiters(null);
+            this.releaseLock();
+
+            if (this.channel) {
+                this.channel.removeEventListener('message', this.onChannelMessage);
+                if (typeof this.channel.close === 'function') {
+                    this.channel.close();
+                }
+            } else {
+                this.eventTarget.removeEventListener('storage', this.onStorage);
+            }
+        }
+    }
+
+    return { JWTAuthSync };
+});
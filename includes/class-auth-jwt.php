@@ -151,7 +151,7 @@ class Auth_JWT {
 		// Always use direct database query for REST API requests.
 		$jwt_settings = get_option( 'jwt_auth_pro_settings', array() );
 		$secret       = defined( 'JWT_AUTH_PRO_SECRET' ) ? JWT_AUTH_PRO_SECRET : ( $jwt_settings['secret_key'] ?? '' );
-		$ttl          = defined( 'JWT_AUTH_PRO_ACCESS_TTL' ) ? JWT_AUTH_PRO_ACCESS_TTL : ( $jwt_settings['access_token_expiry'] ?? 3600 );
+		$ttl          = wp_auth_jwt_get_access_ttl();
 
 		if ( empty( $secret ) ) {
 			error_log( 'JWT Auth: Secret not configured. Please set JWT_AUTH_PRO_SECRET constant or configure in settings.' );
@@ -198,6 +198,7 @@ class Auth_JWT {
 		$user = wp_authenticate( $username, $password );
 
 		if ( is_wp_error( $user ) ) {
+			$this->log_event( 'login_failed', 0, (string) $username );
 			return wp_auth_jwt_error_response(
 				'invalid_credentials',
 				'Invalid username or password',
@@ -205,6 +206,26 @@ class Auth_JWT {
 			);
 		}
 
+		$token_data = $this->issue_tokens_for_user( $user );
+		$this->log_event( 'token_issued', (int) $user->ID );
+
+		return wp_auth_jwt_success_response(
+			$token_data,
+			'Authentication successful'
+		);
+	}
+
+	/**
+	 * Issue an access token and a refresh token cookie for an authenticated user.
+	 *
+	 * Shared by the login endpoint and the admin diagnostics console so both
+	 * exercise exactly the same token issuance path.
+	 *
+	 * @param WP_User $user Authenticated user.
+	 * @return array Token response data (access_token, token_type, expires_in, user).
+	 * @throws \Exception If JWT secret is not configured.
+	 */
+	public function issue_tokens_for_user( WP_User $user ): array {
 		// Generate access token (JWT).
 		$now           = time();
 		$access_claims = array(
@@ -212,11 +233,8 @@ class Auth_JWT {
 		);
 		$access_token  = $this->generate_access_token( (int) $user->ID, $access_claims );
 
-		// Get JWT settings with fallbacks.
-		// Always use direct database query for REST API requests.
-		$jwt_settings = get_option( 'jwt_auth_pro_settings', array() );
-		$access_ttl   = defined( 'JWT_AUTH_PRO_ACCESS_TTL' ) ? JWT_AUTH_PRO_ACCESS_TTL : ( $jwt_settings['access_token_expiry'] ?? 3600 );
-		$refresh_ttl  = defined( 'JWT_AUTH_PRO_REFRESH_TTL' ) ? JWT_AUTH_PRO_REFRESH_TTL : ( $jwt_settings['refresh_token_expiry'] ?? 2592000 );
+		$access_ttl  = wp_auth_jwt_get_access_ttl();
+		$refresh_ttl = wp_auth_jwt_get_refresh_ttl();
 
 		// Generate refresh token.
 		$refresh_token   = wp_auth_jwt_generate_token( 64 );
@@ -233,17 +251,12 @@ class Auth_JWT {
 			$refresh_expires
 		);
 
-		$response_data = array(
+		return array(
 			'access_token' => $access_token,
 			'token_type'   => 'Bearer',
 			'expires_in'   => $access_ttl,
 			'user'         => wp_auth_jwt_format_user_data( $user ),
 		);
-
-		return wp_auth_jwt_success_response(
-			$response_data,
-			'Authentication successful'
-		);
 	}
 
 	/**
@@ -272,11 +285,13 @@ class Auth_JWT {
 		$token_data = $this->validate_refresh_token( $refresh_token );
 
 		if ( is_wp_error( $token_data ) ) {
+			$this->log_event( 'refresh_failed' );
 			return $token_data;
 		}
 
 		$user = get_user_by( 'id', $token_data['user_id'] );
 		if ( ! $user ) {
+			$this->log_event( 'refresh_failed', (int) $token_data['user_id'] );
 			return wp_auth_jwt_error_response(
 				'invalid_user',
 				'User not found',
@@ -294,7 +309,7 @@ class Auth_JWT {
 		// Optionally rotate refresh token for better security.
 		if ( apply_filters( 'wp_auth_jwt_rotate_refresh_token', true ) ) {
 			$new_refresh_token = wp_auth_jwt_generate_token( 64 );
-			$refresh_expires   = $now + JWT_AUTH_PRO_REFRESH_TTL;
+			$refresh_expires   = $now + wp_auth_jwt_get_refresh_ttl();
 
 			// Rotate refresh token (revoke old, create new).
 			$this->rotate_refresh_token( $refresh_token, $new_refresh_token, (int) $user->ID, $refresh_expires );
@@ -308,11 +323,13 @@ class Auth_JWT {
 			);
 		}
 
+		$this->log_event( 'token_refreshed', (int) $user->ID );
+
 		return wp_auth_jwt_success_response(
 			array(
 				'access_token' => $access_token,
 				'token_type'   => 'Bearer',
-				'expires_in'   => JWT_AUTH_PRO_ACCESS_TTL,
+				'expires_in'   => wp_auth_jwt_get_access_ttl(),
 			),
 			'Token refreshed successfully'
 		);
@@ -334,7 +351,12 @@ class Auth_JWT {
 		$refresh_token = Cookie::get( self::REFRESH_COOKIE_NAME, '' );
 
 		if ( ! empty( $refresh_token ) ) {
+			// Browser logouts usually send only the cookie, so take the user from the token itself.
+			$token_data = $this->validate_refresh_token( $refresh_token );
+			$user_id    = is_wp_error( $token_data ) ? get_current_user_id() : (int) $token_data['user_id'];
+
 			$this->revoke_refresh_token( $refresh_token );
+			$this->log_event( 'logout', $user_id );
 		}
 
 		// Delete refresh token cookie with environment-aware path detection.
@@ -405,6 +427,7 @@ class Auth_JWT {
 		$payload = wp_auth_jwt_decode( $token, $secret );
 
 		if ( ! $payload ) {
+			$this->log_event( 'token_rejected' );
 			return new WP_Error(
 				'invalid_token',
 				'Invalid or expired JWT token',
@@ -414,6 +437,7 @@ class Auth_JWT {
 
 		$user_id = intval( $payload['sub'] ?? 0 );
 		if ( ! $user_id ) {
+			$this->log_event( 'token_rejected' );
 			return new WP_Error(
 				'invalid_token_subject',
 				'Invalid token subject',
@@ -423,6 +447,7 @@ class Auth_JWT {
 
 		$user = get_user_by( 'id', $user_id );
 		if ( ! $user ) {
+			$this->log_event( 'token_rejected', $user_id );
 			return new WP_Error(
 				'invalid_token_user',
 				'User not found',
@@ -434,6 +459,20 @@ class Auth_JWT {
 		return $user;
 	}
 
+	/**
+	 * Announce an authentication event.
+	 *
+	 * JWT_Auth_Pro_Event_Log stores these for the Activity tab; other code can
+	 * hook `jwt_auth_pro_auth_event` too, e.g. to forward failures elsewhere.
+	 *
+	 * @param string $event_type token_issued, token_refreshed, logout, login_failed, refresh_failed or token_rejected.
+	 * @param int    $user_id    User the event belongs to, 0 if unknown.
+	 * @param string $username   Username sent with a failed login.
+	 */
+	private function log_event( string $event_type, int $user_id = 0, string $username = '' ): void {
+		do_action( 'jwt_auth_pro_auth_event', $event_type, $user_id, $username );
+	}
+
 	/**
 	 * Store a refresh token in the database.
 	 *
@@ -452,7 +491,9 @@ class Auth_JWT {
 			$refresh_token,
 			$expires_at,
 			array(
-				'issued_at' => time(),
+				'issued_at'  => time(),
+				'ip_address' => wp_auth_jwt_get_ip_address(),
+				'user_agent' => wp_auth_jwt_get_user_agent(),
 			)
 		);
 	}
@@ -505,7 +546,9 @@ class Auth_JWT {
 			$user_id,
 			$expires_at,
 			array(
-				'issued_at' => time(),
+				'issued_at'  => time(),
+				'ip_address' => wp_auth_jwt_get_ip_address(),
+				'user_agent' => wp_auth_jwt_get_user_agent(),
 			)
 		);
 	}
@@ -552,6 +595,110 @@ class Auth_JWT {
 		return $this->refresh_token_manager->revokeById( $user_id, $token_id );
 	}
 
+	/**
+	 * Revoke every refresh token of a user, signing them out of all devices.
+	 *
+	 * @param int $user_id User ID whose tokens should be revoked.
+	 * @return int Number of tokens revoked.
+	 */
+	public function revoke_all_user_tokens( int $user_id ): int {
+		$revoked = 0;
+		foreach ( $this->get_user_refresh_tokens( $user_id ) as $token ) {
+			$token = (array) $token;
+			if ( $this->revoke_user_token( $user_id, (int) $token['id'] ) ) {
+				++$revoked;
+			}
+		}
+		return $revoked;
+	}
+
+	/**
+	 * Count the active (not revoked, not expired) refresh tokens of all users.
+	 *
+	 * @return array{tokens: int, users: int} Number of active tokens and of users holding them.
+	 */
+	public function get_active_refresh_token_stats(): array {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'jwt_refresh_tokens';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT COUNT(*) AS tokens, COUNT(DISTINCT user_id) AS users FROM {$table_name} WHERE expires_at > %d AND revoked_at IS NULL AND ( is_revoked = 0 OR is_revoked IS NULL )",
+				time()
+			)
+		);
+
+		return array(
+			'tokens' => (int) ( $row->tokens ?? 0 ),
+			'users'  => (int) ( $row->users ?? 0 ),
+		);
+	}
+
+	/**
+	 * Count active refresh tokens per user.
+	 *
+	 * @param int $limit Maximum number of users.
+	 * @return array<int, array{user_id: int, sessions: int}> Users with the most active sessions first.
+	 */
+	public function get_active_sessions_per_user( int $limit = 10 ): array {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'jwt_refresh_tokens';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT user_id, COUNT(*) AS sessions FROM {$table_name} WHERE expires_at > %d AND revoked_at IS NULL AND ( is_revoked = 0 OR is_revoked IS NULL ) GROUP BY user_id ORDER BY sessions DESC LIMIT %d",
+				time(),
+				$limit
+			)
+		);
+
+		$counts = array();
+		foreach ( $rows as $row ) {
+			$counts[] = array(
+				'user_id'  => (int) $row->user_id,
+				'sessions' => (int) $row->sessions,
+			);
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Delete every active refresh token, signing all users out of all devices.
+	 *
+	 * Used after rotating the secret. Revoked and expired tokens are kept: reuse
+	 * detection and the audit trail rely on them, and they are pruned as usual.
+	 *
+	 * @return int Number of tokens deleted.
+	 */
+	public function purge_refresh_tokens(): int {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'jwt_refresh_tokens';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"DELETE FROM {$table_name} WHERE expires_at > %d AND revoked_at IS NULL AND ( is_revoked = 0 OR is_revoked IS NULL )",
+				time()
+			)
+		);
+
+		// Drop token lookups cached by the refresh token manager.
+		if ( function_exists( 'wp_cache_flush_group' ) ) {
+			wp_cache_flush_group( 'wp_rest_auth_jwt' );
+		}
+
+		return (int) $deleted;
+	}
+
 	/**
 	 * Compatibility: whoami-like endpoint for tests.
 	 */
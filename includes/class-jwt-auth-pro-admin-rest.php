@@ -0,0 +1,692 @@
+<?php
+
+/**
+ * Admin REST API Endpoints
+ *
+ * This class registers the admin-only REST API endpoints that back the JavaScript
+ * tools on the JWT Auth Pro settings page. Every route requires the same capability
+ * as the settings page itself and is authenticated with the standard WordPress
+ * cookie + REST nonce flow.
+ *
+ * @package   JWTAuthPro
+ * @author    Juan Manuel Garrido
+ * @copyright 2025 Juan Manuel Garrido
+ * @license   GPL-2.0-or-later
+ * @since     1.2.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WPRestAuth\AuthToolkit\Http\Cookie;
+
+/**
+ * Admin REST API Class.
+ *
+ * Exposes diagnostics and management endpoints for the admin settings page.
+ */
+class JWT_Auth_Pro_Admin_REST {
+
+	/**
+	 * REST API namespace.
+	 */
+	private const REST_NAMESPACE = 'jwt/v1';
+
+	/**
+	 * Capability required to use the admin endpoints (matches the settings page).
+	 */
+	const CAPABILITY = 'activate_plugins';
+
+	/**
+	 * Name of the short-lived cookie set by the cookie probe.
+	 */
+	const PROBE_COOKIE_NAME = 'wp_jwt_cookie_probe';
+
+	/**
+	 * Cookie settings reported by the inspector, in display order.
+	 */
+	private const COOKIE_KEYS = array( 'enabled', 'name', 'samesite', 'secure', 'httponly', 'path', 'domain', 'lifetime' );
+
+	/**
+	 * Auth JWT instance.
+	 *
+	 * @var Auth_JWT
+	 */
+	private $auth_jwt;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Auth_JWT $auth_jwt Auth JWT instance used to issue and manage tokens.
+	 */
+	public function __construct( Auth_JWT $auth_jwt ) {
+		$this->auth_jwt = $auth_jwt;
+	}
+
+	/**
+	 * Register REST API routes for the admin tools.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/diagnostics/token',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_diagnostic_tokens' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'issue_diagnostic_token' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/users',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'search_users' ),
+				'permission_callback' => array( $this, 'check_admin_permission' ),
+				'args'                => array(
+					'search' => array(
+						'required'          => true,
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/sessions/(?P<user_id>\d+)',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_user_sessions' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => 'DELETE',
+					'callback'            => array( $this, 'revoke_all_sessions' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/sessions/(?P<user_id>\d+)/(?P<token_id>\d+)',
+			array(
+				'methods'             => 'DELETE',
+				'callback'            => array( $this, 'revoke_session' ),
+				'permission_callback' => array( $this, 'check_admin_permission' ),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/secret/rotation',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_rotation_impact' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'rotate_secret' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'secret'       => array(
+							'type' => 'string',
+						),
+						'purge_tokens' => array(
+							'type'    => 'boolean',
+							'default' => false,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/activity',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_activity' ),
+				'permission_callback' => array( $this, 'check_admin_permission' ),
+				'args'                => array(
+					'days' => array(
+						'type'    => 'integer',
+						'default' => 7,
+						'minimum' => 1,
+						'maximum' => 90,
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/cookies',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'inspect_cookie_config' ),
+				'permission_callback' => array( $this, 'check_admin_permission' ),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/cookies/probe',
+			array(
+				array(
+					'methods'             => 'POST',
+					'callback'            => array( $this, 'set_probe_cookie' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'read_probe_cookie' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'expected' => array(
+							'required' => true,
+							'type'     => 'string',
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check that the current user may use the admin endpoints.
+	 *
+	 * @return bool True if the user can manage the plugin.
+	 */
+	public function check_admin_permission(): bool {
+		return current_user_can( self::CAPABILITY );
+	}
+
+	/**
+	 * Issue a token pair for the current admin to drive the diagnostics console.
+	 *
+	 * Goes through the same issuance path as the login endpoint, so the refresh
+	 * token cookie is set and stored exactly as it would be for a real client.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function issue_diagnostic_token( WP_REST_Request $request ) {
+		$user = wp_get_current_user();
+
+		try {
+			$token_data = $this->auth_jwt->issue_tokens_for_user( $user );
+		} catch ( \Exception $e ) {
+			return wp_auth_jwt_error_response(
+				'jwt_secret_missing',
+				'JWT secret not configured',
+				500
+			);
+		}
+
+		$token_data['config'] = $this->get_config_summary();
+
+		return wp_auth_jwt_success_response(
+			$token_data,
+			'Diagnostic token issued'
+		);
+	}
+
+	/**
+	 * List the IDs of the current admin's active refresh tokens.
+	 *
+	 * The diagnostics console compares this list before and after logout to
+	 * check that exactly one stored token was revoked.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Active refresh token IDs.
+	 */
+	public function get_diagnostic_tokens( WP_REST_Request $request ): WP_REST_Response {
+		$sessions = $this->get_active_sessions( get_current_user_id() );
+
+		return wp_auth_jwt_success_response(
+			array( 'token_ids' => wp_list_pluck( $sessions, 'id' ) )
+		);
+	}
+
+	/**
+	 * Search users by login, email or display name for the sessions manager.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Matching users.
+	 */
+	public function search_users( WP_REST_Request $request ): WP_REST_Response {
+		$users = get_users(
+			array(
+				'search'         => '*' . $request->get_param( 'search' ) . '*',
+				'search_columns' => array( 'user_login', 'user_email', 'display_name' ),
+				'number'         => 20,
+				'orderby'        => 'login',
+			)
+		);
+
+		$results = array();
+		foreach ( $users as $user ) {
+			$results[] = array(
+				'id'           => (int) $user->ID,
+				'login'        => $user->user_login,
+				'email'        => $user->user_email,
+				'display_name' => $user->display_name,
+			);
+		}
+
+		return wp_auth_jwt_success_response( array( 'users' => $results ) );
+	}
+
+	/**
+	 * List the active refresh tokens (sessions) of a user.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function get_user_sessions( WP_REST_Request $request ) {
+		$user = get_user_by( 'id', (int) $request['user_id'] );
+		if ( ! $user ) {
+			return wp_auth_jwt_error_response( 'invalid_user', 'User not found', 404 );
+		}
+
+		return wp_auth_jwt_success_response(
+			array(
+				'user'     => wp_auth_jwt_format_user_data( $user ),
+				'sessions' => $this->get_active_sessions( (int) $user->ID ),
+			)
+		);
+	}
+
+	/**
+	 * Revoke a single session of a user.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function revoke_session( WP_REST_Request $request ) {
+		$user = get_user_by( 'id', (int) $request['user_id'] );
+		if ( ! $user ) {
+			return wp_auth_jwt_error_response( 'invalid_user', 'User not found', 404 );
+		}
+
+		// Only revoke a token listed among this user's active sessions.
+		$token_id = (int) $request['token_id'];
+		$owned    = in_array( $token_id, wp_list_pluck( $this->get_active_sessions( (int) $user->ID ), 'id' ), true );
+
+		if ( ! $owned || ! $this->auth_jwt->revoke_user_token( (int) $user->ID, $token_id ) ) {
+			return wp_auth_jwt_error_response( 'session_not_found', 'Session not found or already revoked', 404 );
+		}
+
+		return wp_auth_jwt_success_response(
+			array(
+				'revoked'  => 1,
+				'sessions' => $this->get_active_sessions( (int) $user->ID ),
+			),
+			'Session revoked'
+		);
+	}
+
+	/**
+	 * Revoke every session of a user.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function revoke_all_sessions( WP_REST_Request $request ) {
+		$user = get_user_by( 'id', (int) $request['user_id'] );
+		if ( ! $user ) {
+			return wp_auth_jwt_error_response( 'invalid_user', 'User not found', 404 );
+		}
+
+		$revoked = $this->auth_jwt->revoke_all_user_tokens( (int) $user->ID );
+
+		return wp_auth_jwt_success_response(
+			array(
+				'revoked'  => $revoked,
+				'sessions' => $this->get_active_sessions( (int) $user->ID ),
+			),
+			'All sessions revoked'
+		);
+	}
+
+	/**
+	 * Report what rotating the secret would affect.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Active refresh token counts and where the secret lives.
+	 */
+	public function get_rotation_impact( WP_REST_Request $request ): WP_REST_Response {
+		return wp_auth_jwt_success_response( $this->get_rotation_status() );
+	}
+
+	/**
+	 * Rotate the secret stored in the settings and optionally purge refresh tokens.
+	 *
+	 * When the secret is defined in wp-config.php it cannot be changed here: the
+	 * new value has to be pasted into wp-config.php, and only the purge runs.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function rotate_secret( WP_REST_Request $request ) {
+		$secret = (string) $request->get_param( 'secret' );
+		$locked = $this->is_secret_locked();
+
+		if ( $locked && '' !== $secret ) {
+			return wp_auth_jwt_error_response(
+				'secret_locked',
+				'The secret is defined in wp-config.php and must be changed there',
+				409
+			);
+		}
+
+		if ( ! $locked ) {
+			$min_length = JWTAuthPro\JWT_Auth_Pro_Admin_Settings::get_validation_rules()['secret_key']['min_length'];
+
+			// Same normalization the settings form applies, so the saved secret matches what was shown.
+			if ( sanitize_text_field( $secret ) !== $secret || strlen( $secret ) < $min_length ) {
+				return wp_auth_jwt_error_response(
+					'invalid_secret',
+					sprintf( 'The secret must be at least %d characters long and contain no whitespace or HTML', $min_length ),
+					400
+				);
+			}
+
+			$jwt_settings               = get_option( JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS, array() );
+			$jwt_settings['secret_key'] = $secret;
+			update_option( JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS, $jwt_settings );
+		}
+
+		$purged = $request->get_param( 'purge_tokens' ) ? $this->auth_jwt->purge_refresh_tokens() : 0;
+
+		return wp_auth_jwt_success_response(
+			array_merge(
+				$this->get_rotation_status(),
+				array(
+					'secret_saved' => ! $locked,
+					'purged'       => $purged,
+				)
+			),
+			$locked ? 'Refresh tokens purged' : 'Secret rotated'
+		);
+	}
+
+	/**
+	 * Aggregate the authentication event log for the Activity tab.
+	 *
+	 * Counts are bucketed per hour for ranges up to two days and per day beyond,
+	 * on boundaries of the site timezone. `utc_offset` lets the browser label the
+	 * buckets in that timezone too.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Event counts over time, sessions per user and top failure sources.
+	 */
+	public function get_activity( WP_REST_Request $request ): WP_REST_Response {
+		$days   = (int) $request->get_param( 'days' );
+		$bucket = $days <= 2 ? HOUR_IN_SECONDS : DAY_IN_SECONDS;
+		$since  = time() - $days * DAY_IN_SECONDS;
+		$offset = wp_timezone()->getOffset( new DateTime( 'now' ) );
+
+		$sessions = array();
+		foreach ( $this->auth_jwt->get_active_sessions_per_user( 10 ) as $row ) {
+			$user       = get_userdata( $row['user_id'] );
+			$sessions[] = array(
+				'user_id'      => $row['user_id'],
+				'login'        => $user ? $user->user_login : '',
+				'display_name' => $user ? $user->display_name : sprintf( 'Deleted user #%d', $row['user_id'] ),
+				'sessions'     => $row['sessions'],
+			);
+		}
+
+		return wp_auth_jwt_success_response(
+			array_merge(
+				array(
+					'days'       => $days,
+					'bucket'     => $bucket,
+					'utc_offset' => $offset,
+				),
+				JWT_Auth_Pro_Event_Log::get_counts_over_time( $since, $bucket, $offset ),
+				array(
+					'sessions_per_user' => $sessions,
+					'top_failed_ips'    => JWT_Auth_Pro_Event_Log::get_top_failure_sources( 'ip_address', $since ),
+					'top_failed_agents' => JWT_Auth_Pro_Event_Log::get_top_failure_sources( 'user_agent', $since ),
+				)
+			)
+		);
+	}
+
+	/**
+	 * Report the effective refresh cookie configuration and where each value comes from.
+	 *
+	 * Also returns the defaults of every environment and the site URLs, so the
+	 * inspector can preview the configuration for another environment or origin.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Cookie configuration report.
+	 */
+	public function inspect_cookie_config( WP_REST_Request $request ): WP_REST_Response {
+		$config = JWT_Cookie_Config::get_config();
+		$saved  = get_option( 'jwt_auth_cookie_config', array() );
+
+		// wp_auth_jwt_set_cookie() applies this filter on top of the configuration.
+		$config['samesite'] = apply_filters( 'wp_auth_jwt_cookie_samesite', $config['samesite'] );
+
+		$environment_defaults = JWT_Cookie_Config::get_environment_defaults( $config['environment'] );
+
+		$effective = array();
+		$sources   = array();
+		foreach ( self::COOKIE_KEYS as $key ) {
+			$effective[ $key ] = $config[ $key ];
+			$sources[ $key ]   = $this->get_cookie_value_source( $key, $config[ $key ], is_array( $saved ) ? $saved : array(), $environment_defaults );
+		}
+
+		$environments = array();
+		foreach ( array( 'development', 'staging', 'production' ) as $environment ) {
+			$environments[ $environment ] = array_intersect_key(
+				JWT_Cookie_Config::get_environment_defaults( $environment ),
+				array_flip( self::COOKIE_KEYS )
+			);
+		}
+
+		$general_settings = get_option( 'jwt_auth_pro_general_settings', array() );
+		$allowed_origins  = preg_split( '/[\s,]+/', (string) ( $general_settings['cors_allowed_origins'] ?? '' ), -1, PREG_SPLIT_NO_EMPTY );
+
+		return wp_auth_jwt_success_response(
+			array(
+				'environment'     => $config['environment'],
+				'auto_detect'     => (bool) $config['auto_detect'],
+				'config'          => $effective,
+				'sources'         => $sources,
+				'environments'    => $environments,
+				'refresh_url'     => rest_url( self::REST_NAMESPACE . '/refresh' ),
+				'allowed_origins' => $allowed_origins,
+			)
+		);
+	}
+
+	/**
+	 * Set a short-lived test cookie with the effective refresh cookie attributes.
+	 *
+	 * Goes through wp_auth_jwt_set_cookie(), the same path as the refresh token.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response The probe value and the Set-Cookie header sent, when available.
+	 */
+	public function set_probe_cookie( WP_REST_Request $request ): WP_REST_Response {
+		$value = wp_generate_password( 20, false );
+
+		wp_auth_jwt_set_cookie( self::PROBE_COOKIE_NAME, $value, time() + MINUTE_IN_SECONDS );
+
+		$set_cookie = '';
+		foreach ( headers_list() as $header ) {
+			if ( 0 === stripos( $header, 'Set-Cookie: ' . self::PROBE_COOKIE_NAME . '=' ) ) {
+				$set_cookie = substr( $header, strlen( 'Set-Cookie: ' ) );
+			}
+		}
+
+		return wp_auth_jwt_success_response(
+			array(
+				'name'       => self::PROBE_COOKIE_NAME,
+				'value'      => $value,
+				'set_cookie' => $set_cookie,
+			),
+			'Probe cookie set'
+		);
+	}
+
+	/**
+	 * Check whether the browser sent the probe cookie back, then delete it.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 * @return WP_REST_Response Whether the cookie was received and matched.
+	 */
+	public function read_probe_cookie( WP_REST_Request $request ): WP_REST_Response {
+		$received = (string) Cookie::get( self::PROBE_COOKIE_NAME, '' );
+
+		wp_auth_jwt_delete_cookie( self::PROBE_COOKIE_NAME );
+
+		return wp_auth_jwt_success_response(
+			array(
+				'received' => '' !== $received,
+				'matches'  => '' !== $received && hash_equals( (string) $request->get_param( 'expected' ), $received ),
+			)
+		);
+	}
+
+	/**
+	 * Work out which configuration layer a cookie setting comes from.
+	 *
+	 * @param string $key                  Setting name.
+	 * @param mixed  $value                Effective value.
+	 * @param array  $saved                Settings saved on the Cookie Settings tab.
+	 * @param array  $environment_defaults Defaults for the current environment.
+	 * @return string One of constant, filter, settings, environment or auto.
+	 */
+	private function get_cookie_value_source( string $key, $value, array $saved, array $environment_defaults ): string {
+		if ( defined( 'JWT_AUTH_COOKIE_' . strtoupper( $key ) ) ) {
+			return 'constant';
+		}
+
+		if ( has_filter( 'jwt_auth_cookie_' . $key ) || ( 'samesite' === $key && has_filter( 'wp_auth_jwt_cookie_samesite' ) ) ) {
+			return 'filter';
+		}
+
+		$is_saved = isset( $saved[ $key ] ) && 'auto' !== $saved[ $key ] && '' !== $saved[ $key ];
+		$base     = $is_saved ? $saved[ $key ] : ( $environment_defaults[ $key ] ?? null );
+
+		// The global filter may rewrite any setting: only credit it for values that changed.
+		if ( has_filter( 'jwt_auth_cookie_config' ) && $base !== $value ) {
+			return 'filter';
+		}
+
+		if ( $is_saved ) {
+			return 'settings';
+		}
+
+		// Values that differ from the environment defaults were auto-detected by the toolkit (e.g. cross-origin setups).
+		return $base === $value ? 'environment' : 'auto';
+	}
+
+	/**
+	 * Whether the secret is defined in wp-config.php.
+	 *
+	 * @return bool True if JWT_AUTH_PRO_SECRET is defined and not empty.
+	 */
+	protected function is_secret_locked(): bool {
+		return JWTAuthPro\JWT_Auth_Pro_Admin_Settings::is_secret_locked();
+	}
+
+	/**
+	 * Summarize the secret source and the sessions a rotation would end.
+	 *
+	 * @return array Secret source and active refresh token counts.
+	 */
+	private function get_rotation_status(): array {
+		$stats = $this->auth_jwt->get_active_refresh_token_stats();
+
+		return array(
+			'secret_source'  => $this->is_secret_locked() ? 'wp-config.php' : 'settings',
+			'active_tokens'  => $stats['tokens'],
+			'affected_users' => $stats['users'],
+		);
+	}
+
+	/**
+	 * Get the active (not revoked, not expired) sessions of a user.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array List of sessions, newest first.
+	 */
+	private function get_active_sessions( int $user_id ): array {
+		$now      = time();
+		$sessions = array();
+
+		foreach ( $this->auth_jwt->get_user_refresh_tokens( $user_id ) as $token ) {
+			$token = (array) $token;
+
+			if ( ! empty( $token['is_revoked'] ) || ! empty( $token['revoked_at'] ) || (int) $token['expires_at'] <= $now ) {
+				continue;
+			}
+
+			$sessions[] = array(
+				'id'         => (int) $token['id'],
+				'created_at' => (int) ( $token['created_at'] ?? $token['issued_at'] ?? 0 ),
+				'expires_at' => (int) $token['expires_at'],
+				'ip_address' => (string) ( $token['ip_address'] ?? '' ),
+				'user_agent' => (string) ( $token['user_agent'] ?? '' ),
+			);
+		}
+
+		usort(
+			$sessions,
+			function ( $a, $b ) {
+				return $b['created_at'] <=> $a['created_at'];
+			}
+		);
+
+		return $sessions;
+	}
+
+	/**
+	 * Summarize the effective token configuration without exposing the secret.
+	 *
+	 * @return array Secret source and length, TTLs and refresh cookie settings.
+	 */
+	private function get_config_summary(): array {
+		$jwt_settings = get_option( 'jwt_auth_pro_settings', array() );
+		$from_config  = $this->is_secret_locked();
+		$secret       = $from_config ? JWT_AUTH_PRO_SECRET : ( $jwt_settings['secret_key'] ?? '' );
+		$cookie       = JWT_Cookie_Config::get_config();
+
+		return array(
+			'secret_source' => $from_config ? 'wp-config.php' : 'settings',
+			'secret_length' => strlen( $secret ),
+			'access_ttl'    => wp_auth_jwt_get_access_ttl(),
+			'refresh_ttl'   => wp_auth_jwt_get_refresh_ttl(),
+			'cookie'        => array(
+				'name'        => $cookie['name'],
+				'path'        => $cookie['path'],
+				'domain'      => $cookie['domain'],
+				'samesite'    => $cookie['samesite'],
+				'secure'      => (bool) $cookie['secure'],
+				'httponly'    => (bool) $cookie['httponly'],
+				'environment' => $cookie['environment'],
+			),
+		);
+	}
+}
@@ -0,0 +1,329 @@
+<?php
+
+/**
+ * Authentication Event Log
+ *
+ * Records token issuance, refresh, logout and authentication failures in a
+ * dedicated table and aggregates them for the Activity admin tab. Events older
+ * than the retention period are pruned daily.
+ *
+ * @package   JWTAuthPro
+ * @author    Juan Manuel Garrido
+ * @copyright 2025 Juan Manuel Garrido
+ * @license   GPL-2.0-or-later
+ * @since     1.2.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Authentication Event Log Class.
+ *
+ * Static API in the style of JWT_Cookie_Config: record() listens to the
+ * `jwt_auth_pro_auth_event` action fired by Auth_JWT, and the admin REST API
+ * reads the aggregates.
+ */
+class JWT_Auth_Pro_Event_Log {
+
+	/**
+	 * Table name, without the database prefix.
+	 */
+	private const TABLE = 'jwt_auth_events';
+
+	/**
+	 * Schema version; bump to run dbDelta() on existing installs.
+	 */
+	private const DB_VERSION = '1';
+
+	/**
+	 * Option storing the installed schema version.
+	 */
+	private const DB_VERSION_OPTION = 'jwt_auth_pro_events_db_version';
+
+	/**
+	 * Daily cron hook that prunes old events.
+	 */
+	const PRUNE_HOOK = 'jwt_auth_pro_prune_events';
+
+	/**
+	 * Access token issued through /token.
+	 */
+	const TOKEN_ISSUED = 'token_issued';
+
+	/**
+	 * Access token refreshed through /refresh.
+	 */
+	const TOKEN_REFRESHED = 'token_refreshed';
+
+	/**
+	 * Refresh token revoked through /logout.
+	 */
+	const LOGOUT = 'logout';
+
+	/**
+	 * Wrong username or password sent to /token.
+	 */
+	const LOGIN_FAILED = 'login_failed';
+
+	/**
+	 * Invalid, revoked or expired refresh token sent to /refresh.
+	 */
+	const REFRESH_FAILED = 'refresh_failed';
+
+	/**
+	 * Invalid or expired Bearer token sent to the REST API.
+	 */
+	const TOKEN_REJECTED = 'token_rejected';
+
+	/**
+	 * Get every event type, in display order.
+	 *
+	 * @return string[] Event types.
+	 */
+	public static function get_event_types(): array {
+		return array(
+			self::TOKEN_ISSUED,
+			self::TOKEN_REFRESHED,
+			self::LOGOUT,
+			self::LOGIN_FAILED,
+			self::REFRESH_FAILED,
+			self::TOKEN_REJECTED,
+		);
+	}
+
+	/**
+	 * Get the event types that count as failed attempts.
+	 *
+	 * @return string[] Event types.
+	 */
+	public static function get_failure_types(): array {
+		return array( self::LOGIN_FAILED, self::REFRESH_FAILED, self::TOKEN_REJECTED );
+	}
+
+	/**
+	 * Get the prefixed table name.
+	 *
+	 * @return string Table name.
+	 */
+	public static function get_table_name(): string {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE;
+	}
+
+	/**
+	 * Create or upgrade the events table.
+	 */
+	public static function create_table(): void {
+		global $wpdb;
+
+		$table_name      = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            event_type varchar(32) NOT NULL,
+            user_id bigint(20) NOT NULL DEFAULT 0,
+            username varchar(60) DEFAULT NULL,
+            ip_address varchar(45) DEFAULT NULL,
+            user_agent varchar(500) DEFAULT NULL,
+            created_at bigint(20) NOT NULL,
+            PRIMARY KEY (id),
+            KEY event_created (event_type, created_at),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		update_option( self::DB_VERSION_OPTION, self::DB_VERSION );
+	}
+
+	/**
+	 * Create the table on sites that were activated before the event log existed.
+	 */
+	public static function maybe_create_table(): void {
+		if ( get_option( self::DB_VERSION_OPTION ) !== self::DB_VERSION ) {
+			self::create_table();
+			self::schedule_prune();
+		}
+	}
+
+	/**
+	 * Drop the events table and its options.
+	 */
+	public static function drop_table(): void {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.DirectDatabaseQuery.SchemaChange,WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$wpdb->query( "DROP TABLE IF EXISTS {$table_name}" );
+
+		delete_option( self::DB_VERSION_OPTION );
+		wp_clear_scheduled_hook( self::PRUNE_HOOK );
+	}
+
+	/**
+	 * Schedule the daily prune.
+	 */
+	public static function schedule_prune(): void {
+		if ( ! wp_next_scheduled( self::PRUNE_HOOK ) ) {
+			wp_schedule_event( time() + HOUR_IN_SECONDS, 'daily', self::PRUNE_HOOK );
+		}
+	}
+
+	/**
+	 * Record an event for the current request.
+	 *
+	 * Logging can be turned off, or limited to some event types, with the
+	 * `jwt_auth_pro_log_event` filter.
+	 *
+	 * @param string $event_type One of the event type constants.
+	 * @param int    $user_id    User the event belongs to, 0 if unknown.
+	 * @param string $username   Username sent with a failed login.
+	 * @return bool True if the event was stored.
+	 */
+	public static function record( string $event_type, int $user_id = 0, string $username = '' ): bool {
+		global $wpdb;
+
+		if ( ! apply_filters( 'jwt_auth_pro_log_event', true, $event_type, $user_id ) ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$inserted = $wpdb->insert(
+			self::get_table_name(),
+			array(
+				'event_type' => $event_type,
+				'user_id'    => $user_id,
+				'username'   => '' === $username ? null : substr( $username, 0, 60 ),
+				'ip_address' => wp_auth_jwt_get_ip_address(),
+				'user_agent' => substr( wp_auth_jwt_get_user_agent(), 0, 500 ),
+				'created_at' => time(),
+			),
+			array( '%s', '%d', '%s', '%s', '%s', '%d' )
+		);
+
+		return false !== $inserted;
+	}
+
+	/**
+	 * Delete events older than the retention period.
+	 *
+	 * @return int Number of events deleted.
+	 */
+	public static function prune(): int {
+		global $wpdb;
+
+		$days = (int) apply_filters( 'jwt_auth_pro_event_retention_days', 90 );
+		if ( $days <= 0 ) {
+			return 0;
+		}
+
+		$table_name = self::get_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"DELETE FROM {$table_name} WHERE created_at < %d",
+				time() - $days * DAY_IN_SECONDS
+			)
+		);
+
+		return (int) $deleted;
+	}
+
+	/**
+	 * Count events per type and time bucket.
+	 *
+	 * Buckets start on hour or day boundaries of the timezone given by `$utc_offset`,
+	 * so a daily bucket covers one calendar day of the site rather than of UTC.
+	 *
+	 * @param int $since      Start timestamp.
+	 * @param int $bucket     Bucket size in seconds.
+	 * @param int $utc_offset Offset of the site timezone from UTC, in seconds.
+	 * @return array{buckets: int[], series: array<string, int[]>, totals: array<string, int>} Bucket start times and one count per bucket for every event type.
+	 */
+	public static function get_counts_over_time( int $since, int $bucket, int $utc_offset = 0 ): array {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$first      = (int) ( floor( ( $since + $utc_offset ) / $bucket ) * $bucket ) - $utc_offset;
+		$buckets    = range( $first, time(), $bucket );
+
+		$series = array();
+		$totals = array();
+		foreach ( self::get_event_types() as $event_type ) {
+			$series[ $event_type ] = array_fill( 0, count( $buckets ), 0 );
+			$totals[ $event_type ] = 0;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT event_type, FLOOR((created_at + %d) / %d) * %d - %d AS bucket, COUNT(*) AS total FROM {$table_name} WHERE created_at >= %d GROUP BY event_type, bucket",
+				$utc_offset,
+				$bucket,
+				$bucket,
+				$utc_offset,
+				$first
+			)
+		);
+
+		foreach ( $rows as $row ) {
+			$index = (int) ( ( (int) $row->bucket - $first ) / $bucket );
+			if ( isset( $series[ $row->event_type ][ $index ] ) ) {
+				$series[ $row->event_type ][ $index ] = (int) $row->total;
+				$totals[ $row->event_type ]          += (int) $row->total;
+			}
+		}
+
+		return array(
+			'buckets' => $buckets,
+			'series'  => $series,
+			'totals'  => $totals,
+		);
+	}
+
+	/**
+	 * Get the most frequent values of a column among failed attempts.
+	 *
+	 * @param string $column Either ip_address or user_agent.
+	 * @param int    $since  Start timestamp.
+	 * @param int    $limit  Maximum number of rows.
+	 * @return array<int, array{value: string, count: int}> Values with their failure count, most frequent first.
+	 */
+	public static function get_top_failure_sources( string $column, int $since, int $limit = 10 ): array {
+		global $wpdb;
+
+		if ( ! in_array( $column, array( 'ip_address', 'user_agent' ), true ) ) {
+			return array();
+		}
+
+		$table_name   = self::get_table_name();
+		$failures     = self::get_failure_types();
+		$placeholders = implode( ', ', array_fill( 0, count( $failures ), '%s' ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared,WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+				"SELECT {$column} AS value, COUNT(*) AS total FROM {$table_name} WHERE created_at >= %d AND event_type IN ({$placeholders}) GROUP BY {$column} ORDER BY total DESC LIMIT %d",
+				array_merge( array( $since ), $failures, array( $limit ) )
+			)
+		);
+
+		$sources = array();
+		foreach ( $rows as $row ) {
+			$sources[] = array(
+				'value' => (string) $row->value,
+				'count' => (int) $row->total,
+			);
+		}
+
+		return $sources;
+	}
+}
@@ -99,6 +99,38 @@ function wp_auth_jwt_hash_token( string $token, string $secret ): string {
 	return Hasher::make( $token, $secret );
 }
 
+/**
+ * Get the access token lifetime in seconds.
+ *
+ * JWT_AUTH_PRO_ACCESS_TTL in wp-config.php takes priority over the saved setting.
+ *
+ * @return int Lifetime in seconds.
+ */
+function wp_auth_jwt_get_access_ttl(): int {
+	if ( defined( 'JWT_AUTH_PRO_ACCESS_TTL' ) ) {
+		return (int) JWT_AUTH_PRO_ACCESS_TTL;
+	}
+
+	$settings = get_option( 'jwt_auth_pro_settings', array() );
+	return (int) ( $settings['access_token_expiry'] ?? 3600 );
+}
+
+/**
+ * Get the refresh token lifetime in seconds.
+ *
+ * JWT_AUTH_PRO_REFRESH_TTL in wp-config.php takes priority over the saved setting.
+ *
+ * @return int Lifetime in seconds.
+ */
+function wp_auth_jwt_get_refresh_ttl(): int {
+	if ( defined( 'JWT_AUTH_PRO_REFRESH_TTL' ) ) {
+		return (int) JWT_AUTH_PRO_REFRESH_TTL;
+	}
+
+	$settings = get_option( 'jwt_auth_pro_settings', array() );
+	return (int) ( $settings['refresh_token_expiry'] ?? 2592000 );
+}
+
 /**
  * Get client IP address with proxy support.
  *
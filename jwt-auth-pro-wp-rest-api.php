@@ -85,6 +85,12 @@ class JWT_Auth_Pro {
 	 */
 	private $openapi_spec;
 
+	/**
+	 * Admin REST API instance.
+	 *
+	 * @var JWT_Auth_Pro_Admin_REST
+	 */
+	private $admin_rest;
 
 	/**
 	 * Constructor.
@@ -117,8 +123,10 @@ class JWT_Auth_Pro {
 
 		// Legacy files without namespaces still need require_once.
 		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-cookie-config.php';
+		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-auth-pro-event-log.php';
 		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-auth-jwt.php';
 		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-openapi-spec.php';
+		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-auth-pro-admin-rest.php';
 	}
 
 	/**
@@ -136,14 +144,9 @@ class JWT_Auth_Pro {
 		// Don't define JWT_AUTH_PRO_SECRET here - let Auth_JWT check admin settings when needed.
 		// This avoids loading admin classes during plugin initialization.
 
-		// Set default token expiration times if not defined in wp-config.php.
-		if ( ! defined( 'JWT_AUTH_PRO_ACCESS_TTL' ) ) {
-			define( 'JWT_AUTH_PRO_ACCESS_TTL', 3600 ); // 1 hour default
-		}
-
-		if ( ! defined( 'JWT_AUTH_PRO_REFRESH_TTL' ) ) {
-			define( 'JWT_AUTH_PRO_REFRESH_TTL', 2592000 ); // 30 days default
-		}
+		// Don't define default token lifetimes either: JWT_AUTH_PRO_ACCESS_TTL and
+		// JWT_AUTH_PRO_REFRESH_TTL must only exist when wp-config.php sets them, so the
+		// admin settings apply otherwise (see wp_auth_jwt_get_access_ttl()).
 	}
 
 	/**
@@ -172,6 +175,7 @@ class JWT_Auth_Pro {
 
 		$this->auth_jwt     = new Auth_JWT();
 		$this->openapi_spec = new JWT_Auth_Pro_OpenAPI_Spec();
+		$this->admin_rest   = new JWT_Auth_Pro_Admin_REST( $this->auth_jwt );
 	}
 
 	/**
@@ -181,6 +185,13 @@ class JWT_Auth_Pro {
 		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 		add_filter( 'rest_authentication_errors', array( $this, 'maybe_auth_bearer' ), 20 );
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+		add_action( 'wp_enqueue_scripts', array( $this, 'register_client_scripts' ), 5 );
+		add_action( 'admin_enqueue_scripts', array( $this, 'register_client_scripts' ), 5 );
+
+		// Authentication event log: create the table on upgraded sites, store events and prune old ones daily.
+		add_action( 'init', array( 'JWT_Auth_Pro_Event_Log', 'maybe_create_table' ) );
+		add_action( 'jwt_auth_pro_auth_event', array( 'JWT_Auth_Pro_Event_Log', 'record' ), 10, 3 );
+		add_action( JWT_Auth_Pro_Event_Log::PRUNE_HOOK, array( 'JWT_Auth_Pro_Event_Log', 'prune' ) );
 
 		// Check if JWT secret is configured and show admin notice if not.
 		if ( is_admin() ) {
@@ -219,6 +230,7 @@ class JWT_Auth_Pro {
 	public function register_rest_routes(): void {
 		$this->auth_jwt->register_routes();
 		$this->openapi_spec->register_routes();
+		$this->admin_rest->register_routes();
 	}
 
 	/**
@@ -279,6 +291,10 @@ class JWT_Auth_Pro {
 	 */
 	public function activate(): void {
 		$this->create_refresh_tokens_table();
+
+		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-auth-pro-event-log.php';
+		JWT_Auth_Pro_Event_Log::create_table();
+		JWT_Auth_Pro_Event_Log::schedule_prune();
 	}
 
 	/**
@@ -296,6 +312,10 @@ class JWT_Auth_Pro {
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.DirectDatabaseQuery.SchemaChange,WordPress.DB.PreparedSQL.InterpolatedNotPrepared
 		$wpdb->query( "DROP TABLE IF EXISTS {$table_name}" );
 
+		// Drop the authentication event log.
+		require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-auth-pro-event-log.php';
+		JWT_Auth_Pro_Event_Log::drop_table();
+
 		// Delete WordPress options.
 		delete_option( JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS );
 		delete_option( JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_GENERAL_SETTINGS );
@@ -377,6 +397,47 @@ class JWT_Auth_Pro {
 		echo '</p></div>';
 	}
 
+	/**
+	 * Register the browser client scripts so themes and front-ends can enqueue them.
+	 *
+	 * Usage: wp_enqueue_script( 'jwt-auth-pro-client' ) for the client alone,
+	 * wp_enqueue_script( 'jwt-auth-pro-sync' ) to also coordinate it across tabs, or
+	 * wp_enqueue_script( 'jwt-auth-pro-login' ) for the <jwt-auth-login> element.
+	 */
+	public function register_client_scripts(): void {
+		wp_register_script(
+			'jwt-auth-pro-client',
+			JWT_AUTH_PRO_PLUGIN_URL . 'assets/jwt-auth-client.js',
+			array(),
+			JWT_AUTH_PRO_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'jwt-auth-pro-client',
+			'jwtAuthProClientSettings',
+			array(
+				'restUrl' => rest_url(),
+			)
+		);
+
+		wp_register_script(
+			'jwt-auth-pro-sync',
+			JWT_AUTH_PRO_PLUGIN_URL . 'assets/jwt-auth-sync.js',
+			array( 'jwt-auth-pro-client' ),
+			JWT_AUTH_PRO_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'jwt-auth-pro-login',
+			JWT_AUTH_PRO_PLUGIN_URL . 'assets/jwt-auth-login.js',
+			array( 'jwt-auth-pro-client' ),
+			JWT_AUTH_PRO_VERSION,
+			true
+		);
+	}
+
 	/**
 	 * Enqueue scripts and styles.
 	 */
@@ -0,0 +1,603 @@
+<?php
+
+/**
+ * Admin REST API Integration Tests
+ *
+ * Integration tests for the admin-only endpoints that back the settings page tools.
+ *
+ * @package   JWTAuthPro
+ * @author    Juan Manuel Garrido
+ * @copyright 2025 Juan Manuel Garrido
+ * @license   GPL-2.0-or-later
+ * @since     1.2.0
+ */
+
+/**
+ * Integration tests for the admin REST endpoints.
+ */
+class AdminRestIntegrationTest extends WP_UnitTestCase
+{
+
+	/**
+	 * Auth JWT instance.
+	 *
+	 * @var Auth_JWT
+	 */
+	private $auth_jwt;
+
+	/**
+	 * REST server instance.
+	 *
+	 * @var WP_REST_Server
+	 */
+	private $server;
+
+	/**
+	 * Set up test environment.
+	 */
+	public function setUp(): void
+	{
+		parent::setUp();
+
+		global $wp_rest_server;
+		$this->server = $wp_rest_server = new WP_REST_Server();
+		do_action('rest_api_init');
+
+		if (! class_exists('JWT_Auth_Pro_Admin_REST')) {
+			require_once JWT_AUTH_PRO_PLUGIN_DIR . 'includes/class-jwt-auth-pro-admin-rest.php';
+		}
+
+		$this->auth_jwt = new Auth_JWT();
+		$this->auth_jwt->register_routes();
+
+		$admin_rest = new JWT_Auth_Pro_Admin_REST($this->auth_jwt);
+		$admin_rest->register_routes();
+	}
+
+	/**
+	 * Tear down test environment.
+	 */
+	public function tearDown(): void
+	{
+		global $wp_rest_server;
+		$wp_rest_server = null;
+
+		wp_set_current_user(0);
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Admin REST controller that treats the secret as kept in the settings.
+	 *
+	 * The test environment defines JWT_AUTH_PRO_SECRET in wp-config.php.
+	 *
+	 * @return JWT_Auth_Pro_Admin_REST
+	 */
+	private function adminRestWithSettingsSecret(): JWT_Auth_Pro_Admin_REST
+	{
+		return new class ($this->auth_jwt) extends JWT_Auth_Pro_Admin_REST {
+			protected function is_secret_locked(): bool
+			{
+				return false;
+			}
+		};
+	}
+
+	/**
+	 * Create an administrator and make them the current user.
+	 *
+	 * @return int Administrator user ID.
+	 */
+	private function loginAsAdmin(): int
+	{
+		$user_id = $this->factory()->user->create(array('role' => 'administrator'));
+		if (is_multisite()) {
+			grant_super_admin($user_id);
+		}
+		wp_set_current_user($user_id);
+
+		return $user_id;
+	}
+
+	/**
+	 * Test that the diagnostics route is registered.
+	 */
+	public function testDiagnosticsRouteRegistered(): void
+	{
+		$routes = $this->server->get_routes();
+
+		$this->assertArrayHasKey('/jwt/v1/admin/diagnostics/token', $routes);
+	}
+
+	/**
+	 * Test that anonymous users cannot issue diagnostic tokens.
+	 */
+	public function testDiagnosticsTokenRequiresAuthentication(): void
+	{
+		$request  = new WP_REST_Request('POST', '/jwt/v1/admin/diagnostics/token');
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(401, $response->get_status());
+	}
+
+	/**
+	 * Test that non-admin users cannot issue diagnostic tokens.
+	 */
+	public function testDiagnosticsTokenRequiresAdminCapability(): void
+	{
+		wp_set_current_user($this->factory()->user->create(array('role' => 'subscriber')));
+
+		$request  = new WP_REST_Request('POST', '/jwt/v1/admin/diagnostics/token');
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(403, $response->get_status());
+	}
+
+	/**
+	 * Test that the diagnostic token belongs to the current admin and verifies.
+	 */
+	public function testDiagnosticsTokenIssuedForCurrentAdmin(): void
+	{
+		$user_id = $this->loginAsAdmin();
+
+		$request  = new WP_REST_Request('POST', '/jwt/v1/admin/diagnostics/token');
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(200, $response->get_status());
+
+		$data = $response->get_data()['data'];
+		$this->assertSame('Bearer', $data['token_type']);
+		$this->assertArrayHasKey('config', $data);
+		$this->assertArrayNotHasKey('secret', $data['config']);
+		$this->assertSame(strlen(JWT_AUTH_PRO_SECRET), $data['config']['secret_length']);
+		$this->assertSame(Auth_JWT::REFRESH_COOKIE_NAME, $data['config']['cookie']['name']);
+
+		$payload = wp_auth_jwt_decode($data['access_token'], JWT_AUTH_PRO_SECRET);
+		$this->assertSame((string) $user_id, $payload['sub']);
+		$this->assertContains('administrator', $payload['roles']);
+
+		$this->assertNotEmpty($this->auth_jwt->get_user_refresh_tokens($user_id));
+	}
+
+	/**
+	 * Test that the diagnostics token list holds only the current admin's active tokens.
+	 */
+	public function testDiagnosticsTokensListCurrentAdminTokens(): void
+	{
+		$user_id = $this->loginAsAdmin();
+		$other   = $this->factory()->user->create();
+
+		$this->server->dispatch(new WP_REST_Request('POST', '/jwt/v1/admin/diagnostics/token'));
+		$this->server->dispatch(new WP_REST_Request('POST', '/jwt/v1/admin/diagnostics/token'));
+		$this->auth_jwt->store_refresh_token($other, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/diagnostics/token'));
+		$this->assertSame(200, $response->get_status());
+
+		$token_ids = $response->get_data()['data']['token_ids'];
+		$this->assertCount(2, $token_ids);
+
+		$this->auth_jwt->revoke_user_token($user_id, $token_ids[0]);
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/diagnostics/token'));
+		$this->assertSame(array($token_ids[1]), $response->get_data()['data']['token_ids']);
+	}
+
+	/**
+	 * Test that non-admin users cannot list diagnostic tokens.
+	 */
+	public function testDiagnosticsTokensRequireAdminCapability(): void
+	{
+		wp_set_current_user($this->factory()->user->create(array('role' => 'editor')));
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/diagnostics/token'));
+
+		$this->assertSame(403, $response->get_status());
+	}
+
+	/**
+	 * Test that the sessions routes require the admin capability.
+	 */
+	public function testSessionsRequireAdminCapability(): void
+	{
+		$user_id = $this->factory()->user->create(array('role' => 'editor'));
+		wp_set_current_user($user_id);
+
+		$request  = new WP_REST_Request('GET', '/jwt/v1/admin/sessions/' . $user_id);
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(403, $response->get_status());
+	}
+
+	/**
+	 * Test user search for the sessions manager.
+	 */
+	public function testSearchUsers(): void
+	{
+		$this->loginAsAdmin();
+		$user_id = $this->factory()->user->create(array('user_login' => 'stolen_device_owner'));
+
+		$request = new WP_REST_Request('GET', '/jwt/v1/admin/users');
+		$request->set_param('search', 'stolen_device');
+
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(200, $response->get_status());
+		$users = $response->get_data()['data']['users'];
+		$this->assertCount(1, $users);
+		$this->assertSame($user_id, $users[0]['id']);
+	}
+
+	/**
+	 * Test listing and revoking a single session.
+	 */
+	public function testListAndRevokeSession(): void
+	{
+		$this->loginAsAdmin();
+		$user_id = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/sessions/' . $user_id));
+		$this->assertSame(200, $response->get_status());
+
+		$sessions = $response->get_data()['data']['sessions'];
+		$this->assertCount(2, $sessions);
+		$this->assertArrayHasKey('ip_address', $sessions[0]);
+		$this->assertArrayHasKey('user_agent', $sessions[0]);
+
+		$request  = new WP_REST_Request('DELETE', '/jwt/v1/admin/sessions/' . $user_id . '/' . $sessions[0]['id']);
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(200, $response->get_status());
+		$remaining = $response->get_data()['data']['sessions'];
+		$this->assertCount(1, $remaining);
+		$this->assertSame($sessions[1]['id'], $remaining[0]['id']);
+	}
+
+	/**
+	 * Test that a session is only revoked through the user it belongs to.
+	 */
+	public function testRevokeSessionRejectsMismatchedUser(): void
+	{
+		$this->loginAsAdmin();
+		$owner = $this->factory()->user->create();
+		$other = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($owner, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$token_id = (int) ( (array) $this->auth_jwt->get_user_refresh_tokens($owner)[0] )['id'];
+
+		$response = $this->server->dispatch(new WP_REST_Request('DELETE', '/jwt/v1/admin/sessions/' . $other . '/' . $token_id));
+		$this->assertSame(404, $response->get_status());
+		$this->assertSame('session_not_found', $response->get_data()['code']);
+
+		$response = $this->server->dispatch(new WP_REST_Request('DELETE', '/jwt/v1/admin/sessions/999999/' . $token_id));
+		$this->assertSame(404, $response->get_status());
+		$this->assertSame('invalid_user', $response->get_data()['code']);
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/sessions/' . $owner));
+		$this->assertCount(1, $response->get_data()['data']['sessions']);
+	}
+
+	/**
+	 * Test revoking all sessions of a user.
+	 */
+	public function testRevokeAllSessions(): void
+	{
+		$this->loginAsAdmin();
+		$user_id = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+
+		$response = $this->server->dispatch(new WP_REST_Request('DELETE', '/jwt/v1/admin/sessions/' . $user_id));
+
+		$this->assertSame(200, $response->get_status());
+		$this->assertSame(2, $response->get_data()['data']['revoked']);
+		$this->assertSame(array(), $response->get_data()['data']['sessions']);
+	}
+
+	/**
+	 * Test that the rotation impact counts active tokens and the users holding them.
+	 */
+	public function testSecretRotationImpact(): void
+	{
+		$this->loginAsAdmin();
+		$this->auth_jwt->purge_refresh_tokens();
+
+		$first  = $this->factory()->user->create();
+		$second = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($first, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($first, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($second, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($second, wp_auth_jwt_generate_token(64), time() - HOUR_IN_SECONDS);
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/secret/rotation'));
+
+		$this->assertSame(200, $response->get_status());
+		$data = $response->get_data()['data'];
+		$this->assertSame('wp-config.php', $data['secret_source']);
+		$this->assertSame(3, $data['active_tokens']);
+		$this->assertSame(2, $data['affected_users']);
+	}
+
+	/**
+	 * Test that a secret defined in wp-config.php cannot be replaced through the API.
+	 */
+	public function testSecretRotationRejectsSecretWhenDefinedInConfig(): void
+	{
+		$this->loginAsAdmin();
+
+		$request = new WP_REST_Request('POST', '/jwt/v1/admin/secret/rotation');
+		$request->set_param('secret', str_repeat('a', 64));
+
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(409, $response->get_status());
+		$this->assertSame('secret_locked', $response->get_data()['code']);
+	}
+
+	/**
+	 * Test that a secret kept in the settings is saved when it is long enough.
+	 */
+	public function testSecretRotationSavesSecretFromSettings(): void
+	{
+		$this->loginAsAdmin();
+		$min_length = JWTAuthPro\JWT_Auth_Pro_Admin_Settings::get_validation_rules()['secret_key']['min_length'];
+		$secret     = str_repeat('s', $min_length);
+
+		$request = new WP_REST_Request('POST', '/jwt/v1/admin/secret/rotation');
+		$request->set_param('secret', $secret);
+
+		$response = $this->adminRestWithSettingsSecret()->rotate_secret($request);
+
+		$this->assertInstanceOf('WP_REST_Response', $response);
+		$this->assertTrue($response->get_data()['data']['secret_saved']);
+		$this->assertSame(0, $response->get_data()['data']['purged']);
+
+		$settings = get_option(JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS);
+		$this->assertSame($secret, $settings['secret_key']);
+	}
+
+	/**
+	 * Test that a secret kept in the settings is rejected below the minimum length.
+	 */
+	public function testSecretRotationRejectsShortSecret(): void
+	{
+		$this->loginAsAdmin();
+		$min_length = JWTAuthPro\JWT_Auth_Pro_Admin_Settings::get_validation_rules()['secret_key']['min_length'];
+		update_option(JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS, array('secret_key' => 'previous-secret'));
+
+		$request = new WP_REST_Request('POST', '/jwt/v1/admin/secret/rotation');
+		$request->set_param('secret', str_repeat('s', $min_length - 1));
+
+		$response = $this->adminRestWithSettingsSecret()->rotate_secret($request);
+
+		$this->assertInstanceOf('WP_Error', $response);
+		$this->assertSame('invalid_secret', $response->get_error_code());
+		$this->assertSame('previous-secret', get_option(JWTAuthPro\JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS)['secret_key']);
+	}
+
+	/**
+	 * Test purging every active refresh token after a rotation.
+	 */
+	public function testSecretRotationPurgesRefreshTokens(): void
+	{
+		$this->loginAsAdmin();
+		$user_id = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+
+		$request = new WP_REST_Request('POST', '/jwt/v1/admin/secret/rotation');
+		$request->set_param('purge_tokens', true);
+
+		$response = $this->server->dispatch($request);
+
+		$this->assertSame(200, $response->get_status());
+		$data = $response->get_data()['data'];
+		$this->assertFalse($data['secret_saved']);
+		$this->assertGreaterThanOrEqual(1, $data['purged']);
+		$this->assertSame(0, $data['active_tokens']);
+		$this->assertSame(array(), $this->auth_jwt->get_user_refresh_tokens($user_id));
+	}
+
+	/**
+	 * Test that purging keeps revoked and expired tokens for reuse detection.
+	 */
+	public function testSecretRotationPurgeKeepsRevokedAndExpiredTokens(): void
+	{
+		$this->loginAsAdmin();
+		$user_id = $this->factory()->user->create();
+
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() + HOUR_IN_SECONDS);
+		$this->auth_jwt->store_refresh_token($user_id, wp_auth_jwt_generate_token(64), time() - HOUR_IN_SECONDS);
+
+		$revoked = (int) ( (array) $this->auth_jwt->get_user_refresh_tokens($user_id)[0] )['id'];
+		$this->auth_jwt->revoke_user_token($user_id, $revoked);
+
+		$this->assertSame(1, $this->auth_jwt->purge_refresh_tokens());
+
+		$kept = array();
+		foreach ($this->auth_jwt->get_user_refresh_tokens($user_id) as $token) {
+			$kept[] = (int) ( (array) $token )['id'];
+		}
+		$this->assertCount(2, $kept);
+		$this->assertContains($revoked, $kept);
+	}
+
+	/**
+	 * Test that the cookie inspector reports each value with its source.
+	 */
+	public function testCookieInspectorReportsSources(): void
+	{
+		$this->loginAsAdmin();
+
+		add_filter(
+			'jwt_auth_cookie_path',
+			function () {
+				return '/wp-json/jwt/v1/';
+			}
+		);
+		JWT_Cookie_Config::clear_cache();
+
+		$response = $this->server->dispatch(new WP_REST_Request('GET', '/jwt/v1/admin/cookies'));
+
+		remove_all_filters('jwt_auth_cookie_path');
+		JWT_Cookie_Config::clear_cache();
+
+		$this->assertSame(200, $response->get_status());
+
+		$data = $response->get_data()['data'];
+		$this->assertSame('/wp-json/jwt/v1/', $data['config']['path']);
+		$this->assertSame('filter', $data['sources']['path']);
+		$this->assertContains($data['sources']['samesite'], array('constant', 'filter', 'settings', 'environment', 'auto'));
+		$this->assertSame(array('development', 'staging', 'production'), array_keys($data['environments']));
+		$this->assertSame(rest_url('jwt/v1/refresh'), $data['refresh_url']);
+	}
+
+	/**
+	 * Test the cookie probe round trip.
+	 */
+	public function testCookieProbeReadsBackCookie(): void
+	{
+		$this->loginAsAdmin();
+
+		$response = $this->server->dispatch(new WP_REST_Request('POST', '/jwt/v1/admin/cookies/probe'));
+		$this->assertSame(200, $response->get_status());
+
+		$probe = $response->get_data()['data'];
+		$this->assertSame(JWT_Auth_Pro_Admin_REST::PROBE_COOKIE_NAME, $probe['name']);
+
+		$request = new WP_REST_Request('GET', '/jwt/v1/admin/cookies/probe');
+		$request->set_param('expected', $probe['value']);
+
+		$missing = $this->server->dispatch($request)->get_data()['data'];
+		$this->assertFalse($missing['received']);
+
+		// Simulate the browser sending the cookie back.
+		$_COOKIE[JWT_Auth_Pro_Admin_REST::PROBE_COOKIE_NAME] = $probe['value'];
+
+		$found = $this->server->dispatch($request)->get_data()['data'];
+		unset($_COOKIE[JWT_Auth_Pro_Admin_REST::PROBE_COOKIE_NAME]);
+
+		$this->assertTrue($found['received']);
+		$this->assertTrue($found['matches']);
+	}
+
+	/**
+	 * Test that failed and successful logins show up in the activity report.
+	 */
+	public function testActivityReportsLoginEvents(): void
+	{
+		$user_id = $this->factory()->user->create(
+			array(
+				'user_login' => 'activityuser',
+				'user_pass'  => 'correct-password',
+			)
+		);
+		$_SERVER['REMOTE_ADDR'] = '203.0.113.7';
+
+		foreach (array('wrong-password', 'wrong-again', 'correct-password') as $password) {
+			$request = new WP_REST_Request('POST', '/jwt/v1/token');
+			$request->set_param('username', 'activityuser');
+			$request->set_param('password', $password);
+			$this->server->dispatch($request);
+		}
+
+		$this->loginAsAdmin();
+
+		$request = new WP_REST_Request('GET', '/jwt/v1/admin/activity');
+		$request->set_param('days', 1);
+		$response = $this->server->dispatch($request);
+
+		unset($_SERVER['REMOTE_ADDR']);
+
+		$this->assertSame(200, $response->get_status());
+
+		$data = $response->get_data()['data'];
+		$this->assertSame(HOUR_IN_SECONDS, $data['bucket']);
+		$this->assertSame(2, $data['totals']['login_failed']);
+		$this->assertSame(1, $data['totals']['token_issued']);
+		$this->assertCount(count($data['buckets']), $data['series']['login_failed']);
+		$this->assertSame(array('value' => '203.0.113.7', 'count' => 2), $data['top_failed_ips'][0]);
+
+		$sessions = wp_list_pluck($data['sessions_per_user'], 'sessions', 'user_id');
+		$this->assertSame(1, $sessions[$user_id]);
+	}
+
+	/**
+	 * Test that a cookie-only logout is logged for the owner of the refresh token.
+	 */
+	public function testLogoutEventBelongsToRefreshTokenOwner(): void
+	{
+		$user_id       = $this->factory()->user->create();
+		$refresh_token = wp_auth_jwt_generate_token(64);
+		$this->auth_jwt->store_refresh_token($user_id, $refresh_token, time() + HOUR_IN_SECONDS);
+
+		$events = array();
+		$record = function ($event_type, $event_user_id) use (&$events) {
+			$events[] = array($event_type, $event_user_id);
+		};
+		add_action('jwt_auth_pro_auth_event', $record, 10, 2);
+
+		wp_set_current_user(0);
+		$_COOKIE[Auth_JWT::REFRESH_COOKIE_NAME] = $refresh_token;
+		$response = $this->server->dispatch(new WP_REST_Request('POST', '/jwt/v1/logout'));
+		unset($_COOKIE[Auth_JWT::REFRESH_COOKIE_NAME]);
+
+		remove_action('jwt_auth_pro_auth_event', $record, 10);
+
+		$this->assertSame(200, $response->get_status());
+		$this->assertSame(array(array(JWT_Auth_Pro_Event_Log::LOGOUT, $user_id)), $events);
+	}
+
+	/**
+	 * Test that activity buckets start on hour boundaries of the site timezone.
+	 */
+	public function testActivityBucketsFollowSiteTimezone(): void
+	{
+		update_option('timezone_string', 'Asia/Kolkata');
+		JWT_Auth_Pro_Event_Log::record(JWT_Auth_Pro_Event_Log::LOGIN_FAILED, 0, 'nobody');
+
+		$this->loginAsAdmin();
+
+		$request = new WP_REST_Request('GET', '/jwt/v1/admin/activity');
+		$request->set_param('days', 1);
+		$data = $this->server->dispatch($request)->get_data()['data'];
+
+		$this->assertSame(5 * HOUR_IN_SECONDS + 30 * MINUTE_IN_SECONDS, $data['utc_offset']);
+		$this->assertSame(0, ($data['buckets'][0] + $data['utc_offset']) % HOUR_IN_SECONDS);
+		$this->assertSame(1, $data['totals']['login_failed']);
+		$this->assertSame(1, array_sum($data['series']['login_failed']));
+	}
+
+	/**
+	 * Test that the activity report rejects an out-of-range period.
+	 */
+	public function testActivityRejectsInvalidPeriod(): void
+	{
+		$this->loginAsAdmin();
+
+		$request = new WP_REST_Request('GET', '/jwt/v1/admin/activity');
+		$request->set_param('days', 365);
+
+		$this->assertSame(400, $this->server->dispatch($request)->get_status());
+	}
+
+	/**
+	 * Test that the jwt_auth_pro_log_event filter can turn logging off.
+	 */
+	public function testEventLoggingCanBeDisabled(): void
+	{
+		add_filter('jwt_auth_pro_log_event', '__return_false');
+		$recorded = JWT_Auth_Pro_Event_Log::record(JWT_Auth_Pro_Event_Log::LOGIN_FAILED, 0, 'nobody');
+		remove_filter('jwt_auth_pro_log_event', '__return_false');
+
+		$this->assertFalse($recorded);
+		$this->assertTrue(JWT_Auth_Pro_Event_Log::record(JWT_Auth_Pro_Event_Log::LOGIN_FAILED, 0, 'nobody'));
+	}
+}
@@ -0,0 +1,133 @@
+<?php
+
+/**
+ * Admin Settings Integration Tests
+ *
+ * Integration tests for the server-side validation of the JWT settings form.
+ *
+ * @package   JWTAuthPro
+ * @author    Juan Manuel Garrido
+ * @copyright 2025 Juan Manuel Garrido
+ * @license   GPL-2.0-or-later
+ * @since     1.2.0
+ */
+
+use JWTAuthPro\JWT_Auth_Pro_Admin_Settings;
+
+/**
+ * Integration tests for sanitize_jwt_settings().
+ */
+class AdminSettingsIntegrationTest extends WP_UnitTestCase
+{
+
+	/**
+	 * Admin settings instance.
+	 *
+	 * @var JWT_Auth_Pro_Admin_Settings
+	 */
+	private $settings;
+
+	/**
+	 * Set up test environment.
+	 */
+	public function setUp(): void
+	{
+		parent::setUp();
+
+		global $wp_settings_errors;
+		$wp_settings_errors = array();
+
+		$this->settings = new JWT_Auth_Pro_Admin_Settings();
+	}
+
+	/**
+	 * Test that the rules exposed to admin.js are the ones the sanitizer enforces.
+	 */
+	public function test_sanitizer_clamps_ttls_to_validation_rules(): void
+	{
+		$rules = JWT_Auth_Pro_Admin_Settings::get_validation_rules();
+
+		$sanitized = $this->settings->sanitize_jwt_settings(
+			array(
+				'access_token_expiry'  => 10,
+				'refresh_token_expiry' => 999999999,
+			)
+		);
+
+		$this->assertEquals($rules['access_token_expiry']['min'], $sanitized['access_token_expiry']);
+		$this->assertEquals($rules['refresh_token_expiry']['max'], $sanitized['refresh_token_expiry']);
+	}
+
+	/**
+	 * Test that a short secret key is rejected.
+	 */
+	public function test_short_secret_key_is_rejected(): void
+	{
+		$sanitized = $this->settings->sanitize_jwt_settings(array('secret_key' => 'too-short'));
+
+		$this->assertArrayNotHasKey('secret_key', $sanitized);
+		$this->assertNotEmpty(get_settings_errors(JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS));
+	}
+
+	/**
+	 * Test that a refresh TTL not longer than the access TTL keeps the saved value.
+	 */
+	public function test_refresh_expiry_must_exceed_access_expiry(): void
+	{
+		update_option(JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS, array('refresh_token_expiry' => 604800));
+
+		$sanitized = $this->settings->sanitize_jwt_settings(
+			array(
+				'access_token_expiry'  => 7200,
+				'refresh_token_expiry' => 3600,
+			)
+		);
+
+		$this->assertEquals(7200, $sanitized['access_token_expiry']);
+		$this->assertEquals(604800, $sanitized['refresh_token_expiry']);
+
+		$codes = wp_list_pluck(get_settings_errors(JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS), 'code');
+		$this->assertContains('jwt_refresh_token_expiry', $codes);
+	}
+
+	/**
+	 * Test that the TTL fields are editable unless wp-config.php defines them.
+	 */
+	public function test_ttl_fields_editable_without_constants(): void
+	{
+		$this->assertFalse(JWT_Auth_Pro_Admin_Settings::is_ttl_locked('access_token_expiry'));
+		$this->assertFalse(JWT_Auth_Pro_Admin_Settings::is_ttl_locked('refresh_token_expiry'));
+
+		ob_start();
+		$this->settings->jwt_access_token_expiry_field();
+		$this->settings->jwt_refresh_token_expiry_field();
+		$html = ob_get_clean();
+
+		$this->assertStringContainsString('name="jwt_auth_pro_settings[access_token_expiry]"', $html);
+		$this->assertStringContainsString('name="jwt_auth_pro_settings[refresh_token_expiry]"', $html);
+		$this->assertStringNotContainsString('readonly', $html);
+	}
+
+	/**
+	 * Test that saved TTLs are used for issued tokens when no constant is defined.
+	 */
+	public function test_saved_ttls_apply_to_issued_tokens(): void
+	{
+		update_option(
+			JWT_Auth_Pro_Admin_Settings::OPTION_JWT_SETTINGS,
+			array(
+				'secret_key'           => 'integration-test-secret-key-that-is-long-enough',
+				'access_token_expiry'  => 900,
+				'refresh_token_expiry' => 7200,
+			)
+		);
+
+		$this->assertSame(900, wp_auth_jwt_get_access_ttl());
+		$this->assertSame(7200, wp_auth_jwt_get_refresh_ttl());
+
+		$user       = self::factory()->user->create_and_get();
+		$token_data = (new Auth_JWT())->issue_tokens_for_user($user);
+
+		$this->assertSame(900, $token_data['expires_in']);
+	}
+}
@@ -0,0 +1,149 @@
+/**
+ * Tests for the Activity tab charts (assets/activity-charts.js)
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lineChart, barChart, niceMax, peak, formatBucket, escapeXml } = require('../../assets/activity-charts.js');
+
+const HOUR = 3600;
+const DAY = 86400;
+
+describe('niceMax', () => {
+    it('rounds up to 1, 2 or 5 times a power of ten', () => {
+        assert.equal(niceMax(1), 1);
+        assert.equal(niceMax(3), 5);
+        assert.equal(niceMax(7), 10);
+        assert.equal(niceMax(12), 20);
+        assert.equal(niceMax(200), 200);
+        assert.equal(niceMax(501), 1000);
+    });
+
+    it('keeps a usable scale for empty series', () => {
+        assert.equal(niceMax(0), 1);
+        assert.equal(niceMax(NaN), 1);
+    });
+});
+
+describe('peak', () => {
+    it('returns the first bucket with the highest count', () => {
+        assert.deepEqual(peak([0, 4, 9, 9, 1]), { index: 2, value: 9 });
+    });
+
+    it('returns index -1 when nothing happened', () => {
+        assert.deepEqual(peak([0, 0, 0]), { index: -1, value: 0 });
+        assert.deepEqual(peak([]), { index: -1, value: 0 });
+    });
+});
+
+describe('formatBucket', () => {
+    const timestamp = Date.UTC(2025, 2, 7, 14, 0, 0) / 1000;
+
+    it('labels hourly buckets with the hour', () => {
+        assert.equal(formatBucket(timestamp, HOUR), '14:00');
+    });
+
+    it('labels daily buckets with the date', () => {
+        assert.equal(formatBucket(timestamp, DAY), '2025-03-07');
+    });
+
+    it('labels buckets in the site timezone, whatever the browser timezone', () => {
+        // Midnight in New York (UTC-5) is 05:00 UTC.
+        assert.equal(formatBucket(Date.UTC(2025, 2, 7, 5) / 1000, DAY, -5 * HOUR), '2025-03-07');
+        // 14:00 UTC is 19:30 in India (UTC+5:30).
+        assert.equal(formatBucket(timestamp, HOUR, 5.5 * HOUR), '19:00');
+        assert.equal(formatBucket(Date.UTC(2025, 2, 7, 20, 30) / 1000, DAY, 5.5 * HOUR), '2025-03-08');
+    });
+});
+
+describe('lineChart', () => {
+    const start = Date.UTC(2025, 2, 1) / 1000;
+    const data = {
+        buckets: [0, 1, 2, 3, 4].map(day => start + day * DAY),
+        bucket: DAY,
+        series: [
+            { label: 'Failed logins', color: '#d63638', values: [0, 2, 40, 3, 1] },
+            { label: 'Issued', color: '#00a32a', values: [5, 5, 5, 5, 5] }
+        ]
+    };
+
+    it('draws one polyline per series with a point per bucket', () => {
+        const svg = lineChart(data, { width: 100, height: 100, padding: { top: 0, right: 0, bottom: 0, left: 0 } });
+        const polylines = svg.match(/<polyline[^>]*points="([^"]*)"/g);
+
+        assert.equal(polylines.length, 2);
+        assert.match(polylines[0], /points="0,100 25,96 50,20 75,94 100,98"/);
+    });
+
+    it('scales the y axis to a round maximum', () => {
+        const svg = lineChart(data, { ticks: 2 });
+
+        assert.match(svg, />50<\/text>/);
+        assert.match(svg, />25<\/text>/);
+        assert.match(svg, />0<\/text>/);
+    });
+
+    it('labels the x axis with the bucket dates', () => {
+        assert.match(lineChart(data), />2025-03-01<\/text>/);
+    });
+
+    it('labels the x axis in the site timezone', () => {
+        const offset = -5 * HOUR;
+        const svg = lineChart({ ...data, buckets: data.buckets.map(timestamp => timestamp - offset), utcOffset: offset });
+
+        assert.match(svg, />2025-03-01<\/text>/);
+    });
+
+    it('centers a single bucket', () => {
+        const svg = lineChart(
+            { buckets: [start], bucket: HOUR, series: [{ label: 'Issued', color: '#000', values: [3] }] },
+            { width: 100, height: 100, padding: { top: 0, right: 0, bottom: 0, left: 0 } }
+        );
+
+        assert.match(svg, /points="50,40"/);
+    });
+
+    it('escapes labels and the title', () => {
+        const svg = lineChart(
+            { buckets: [start], bucket: DAY, series: [{ label: '<script>', color: '#000', values: [1] }] },
+            { title: 'A & B' }
+        );
+
+        assert.ok(!svg.includes('<script>'));
+        assert.match(svg, /<title>A &amp; B<\/title>/);
+    });
+});
+
+describe('barChart', () => {
+    it('draws bars proportional to the largest value', () => {
+        const svg = barChart(
+            [{ label: '203.0.113.7', value: 40 }, { label: '198.51.100.2', value: 10 }],
+            { width: 448, labelWidth: 200 }
+        );
+        const widths = [...svg.matchAll(/<rect[^>]*width="(\d+)"/g)].map(match => Number(match[1]));
+
+        assert.deepEqual(widths, [200, 50]);
+        assert.match(svg, /<title>203\.0\.113\.7: 40<\/title>/);
+    });
+
+    it('truncates long labels but keeps the full text in the tooltip', () => {
+        const agent = 'python-requests/2.31.0 '.repeat(5).trim();
+        const svg = barChart([{ label: agent, value: 3 }], { labelWidth: 70 });
+
+        assert.match(svg, />python-re…<\/text>/);
+        assert.ok(svg.includes(`<title>${agent}: 3</title>`));
+    });
+
+    it('renders nothing without rows', () => {
+        assert.equal(barChart([]), '');
+    });
+});
+
+describe('escapeXml', () => {
+    it('escapes markup characters', () => {
+        assert.equal(escapeXml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+});
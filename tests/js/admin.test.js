@@ -0,0 +1,359 @@
+/**
+ * Tests for the settings page script (assets/admin.js)
+ *
+ * Runs admin.js with jQuery in jsdom; REST requests are answered by the
+ * route table of helpers/admin-page.js.
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { openAdminPage, settle } = require('./helpers/admin-page.js');
+
+// Alphabet of generateSecret() in admin.js.
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$^&*-_=+';
+
+// The secret field and rotation panel rendered by jwt_secret_key_field().
+const SECRET_FIELD = `
+    <form>
+        <input type="password" id="jwt_secret_key" value="current-secret-that-is-long-enough-1234" />
+        <button type="button" id="generate_jwt_secret">Rotate Secret…</button>
+        <button type="button" id="toggle_jwt_secret">Show/Hide</button>
+    </form>
+    <div id="jwt-secret-rotation" hidden>
+        <p id="jwt-rotation-impact"></p>
+        <input type="text" id="jwt-rotation-secret" readonly />
+        <button type="button" id="jwt-rotation-regenerate">Regenerate</button>
+        <textarea id="jwt-rotation-define" readonly></textarea>
+        <input type="checkbox" id="jwt-rotation-purge" />
+        <input type="checkbox" id="jwt-rotation-confirm" />
+        <button type="button" id="jwt-rotation-apply" disabled>Rotate Secret</button>
+        <button type="button" id="jwt-rotation-cancel">Cancel</button>
+    </div>`;
+
+const IMPACT = { secret_source: 'settings', active_tokens: 3, affected_users: 2 };
+
+describe('secret rotation wizard', () => {
+    let page;
+
+    /**
+     * Open the page with the rotation routes
+     */
+    const open = async (options = {}) => {
+        page = await openAdminPage({
+            body: SECRET_FIELD,
+            routes: {
+                'GET jwt/v1/admin/secret/rotation': () => ({ status: 200, body: { success: true, data: IMPACT } }),
+                ...options.routes
+            },
+            locked: options.locked,
+            beforeLoad: options.beforeLoad
+        });
+        return page;
+    };
+
+    /**
+     * Open the wizard and wait for the impact summary
+     */
+    const openWizard = async () => {
+        page.$('#generate_jwt_secret').trigger('click');
+        await settle();
+    };
+
+    const notice = () => page.$('.notice');
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('generateSecret', () => {
+        it('draws every character from the alphabet with Web Crypto', async () => {
+            await open();
+            await openWizard();
+
+            const secret = page.$('#jwt-rotation-secret').val();
+            assert.equal(secret.length, 64);
+            assert.ok([...secret].every(char => ALPHABET.includes(char)), secret);
+            assert.equal(page.$('#jwt-rotation-define').val(), `define( 'JWT_AUTH_PRO_SECRET', '${secret}' );`);
+        });
+
+        it('rejects bytes above the largest multiple of the alphabet size and draws again', async () => {
+            const limit = 256 - (256 % ALPHABET.length);
+            let calls = 0;
+
+            await open({
+                beforeLoad: win => {
+                    win.crypto.getRandomValues = bytes => {
+                        calls++;
+                        // First draw: only rejected bytes. Then every other byte is rejected.
+                        bytes.forEach((value, index) => {
+                            bytes[index] = calls === 1 || index % 2 ? limit + (index % (256 - limit)) : (index / 2) % ALPHABET.length;
+                        });
+                        return bytes;
+                    };
+                }
+            });
+            await openWizard();
+
+            assert.equal(calls, 2);
+            assert.equal(page.$('#jwt-rotation-secret').val(), ALPHABET.repeat(2).slice(0, 64));
+        });
+    });
+
+    it('shows how many sessions the rotation ends', async () => {
+        await open();
+        await openWizard();
+
+        assert.equal(page.$('#jwt-secret-rotation').prop('hidden'), false);
+        assert.equal(
+            page.$('#jwt-rotation-impact').text(),
+            '3 active refresh tokens across 2 users will stop working, and every access token signed with the current secret is rejected immediately.'
+        );
+    });
+
+    it('saves the new secret and purges refresh tokens once confirmed', async () => {
+        await open({
+            routes: {
+                'POST jwt/v1/admin/secret/rotation': () => ({
+                    status: 200,
+                    body: { success: true, data: { ...IMPACT, active_tokens: 0, secret_saved: true, purged: 3 } }
+                })
+            }
+        });
+        await openWizard();
+        const secret = page.$('#jwt-rotation-secret').val();
+
+        assert.equal(page.$('#jwt-rotation-apply').prop('disabled'), true);
+        page.$('#jwt-rotation-purge').prop('checked', true).trigger('change');
+        page.$('#jwt-rotation-confirm').prop('checked', true).trigger('change');
+        assert.equal(page.$('#jwt-rotation-apply').prop('disabled'), false);
+
+        page.$('#jwt-rotation-apply').trigger('click');
+        await settle();
+
+        const post = page.requests.find(request => request.method === 'POST');
+        assert.deepEqual(post.data, { secret, purge_tokens: true });
+        assert.equal(post.headers['X-WP-Nonce'], 'rest-nonce');
+        assert.equal(page.$('#jwt_secret_key').val(), secret);
+        assert.equal(page.$('#jwt-secret-rotation').prop('hidden'), true);
+        assert.equal(notice().find('p').text(), 'JWT secret rotated. 3 refresh tokens purged.');
+        assert.ok(notice().hasClass('notice-success'));
+    });
+
+    it('only purges when the secret is defined in wp-config.php', async () => {
+        await open({
+            locked: { secret_key: true },
+            routes: {
+                'POST jwt/v1/admin/secret/rotation': () => ({
+                    status: 200,
+                    body: { success: true, data: { ...IMPACT, secret_saved: false, purged: 1 } }
+                })
+            }
+        });
+        await openWizard();
+
+        page.$('#jwt-rotation-confirm').prop('checked', true).trigger('change');
+        assert.equal(page.$('#jwt-rotation-apply').prop('disabled'), true, 'nothing to apply without purging');
+
+        page.$('#jwt-rotation-purge').prop('checked', true).trigger('change');
+        page.$('#jwt-rotation-apply').trigger('click');
+        await settle();
+
+        assert.deepEqual(page.requests.find(request => request.method === 'POST').data, { purge_tokens: true });
+        assert.equal(page.$('#jwt_secret_key').val(), 'current-secret-that-is-long-enough-1234');
+        assert.equal(notice().find('p').text(), '1 refresh token purged. Paste the new define() line into wp-config.php to finish the rotation.');
+        assert.ok(notice().hasClass('notice-warning'));
+    });
+
+    it('reports a rejected rotation as text and lets the admin retry', async () => {
+        await open({
+            routes: {
+                'POST jwt/v1/admin/secret/rotation': () => ({
+                    status: 400,
+                    body: { code: 'invalid_secret', message: 'The secret must be <b>longer</b>' }
+                })
+            }
+        });
+        await openWizard();
+
+        page.$('#jwt-rotation-confirm').prop('checked', true).trigger('change');
+        page.$('#jwt-rotation-apply').trigger('click');
+        await settle();
+
+        assert.equal(notice().find('p').text(), 'Secret rotation failed: The secret must be <b>longer</b> (invalid_secret)');
+        assert.equal(notice().find('b').length, 0);
+        assert.ok(notice().hasClass('notice-error'));
+        assert.equal(page.$('#jwt-secret-rotation').prop('hidden'), false);
+        assert.equal(page.$('#jwt-rotation-apply').prop('disabled'), false);
+    });
+});
+
+// The diagnostics panel rendered on the JWT Settings tab.
+const DIAGNOSTICS = `
+    <button type="button" id="test-jwt-generation" class="button button-secondary">Run Diagnostics</button>
+    <div id="test-results" aria-live="polite"></div>`;
+
+const CONFIG = {
+    secret_length: 64,
+    secret_source: 'constant',
+    access_ttl: 3600,
+    refresh_ttl: 2592000,
+    cookie: { name: 'wp_jwt_refresh_token', path: '/wp-json/jwt/v1/', domain: '', samesite: 'Strict', secure: true, httponly: true, environment: 'production' }
+};
+
+/**
+ * Encode a JSON segment of a JWT
+ */
+const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Access token with the claims the diagnostics check, for user #1
+ */
+const accessToken = (claims = {}) => {
+    const iat = Math.floor(Date.now() / 1000);
+    return [
+        segment({ typ: 'JWT', alg: 'HS256' }),
+        segment({ iss: 'https://example.com', sub: '1', iat, exp: iat + 3600, roles: ['administrator'], ...claims }),
+        'signature'
+    ].join('.');
+};
+
+/**
+ * Token endpoints backed by a store of refresh tokens and the refresh cookie
+ *
+ * `revokeOnLogout: false` makes logout clear the cookie but leave the stored token active.
+ */
+const tokenRoutes = (options = {}) => {
+    const store = { active: [], cookie: null, nextId: 1 };
+
+    const issue = () => {
+        store.cookie = store.nextId++;
+        store.active.push(store.cookie);
+        return { access_token: accessToken(), token_type: 'Bearer', expires_in: 3600 };
+    };
+    const revoke = id => {
+        store.active = store.active.filter(active => active !== id);
+    };
+
+    store.routes = {
+        'POST jwt/v1/admin/diagnostics/token': () => ({ status: 200, body: { success: true, data: { ...issue(), config: CONFIG } } }),
+        'GET jwt/v1/admin/diagnostics/token': () => ({ status: 200, body: { success: true, data: { token_ids: [...store.active] } } }),
+        'GET jwt/v1/verify': () => ({ status: 200, body: { success: true, data: { valid: true, user: { id: 1 } } } }),
+        'POST jwt/v1/refresh': () => {
+            if (store.active.indexOf(store.cookie) === -1) {
+                return { status: 401, body: { code: 'invalid_refresh_token', message: 'Invalid refresh token' } };
+            }
+            revoke(store.cookie);
+            return { status: 200, body: { success: true, data: issue() } };
+        },
+        'POST jwt/v1/logout': () => {
+            if (options.revokeOnLogout !== false) {
+                revoke(store.cookie);
+            }
+            store.cookie = null;
+            return { status: 200, body: { success: true, message: 'Logout successful' } };
+        }
+    };
+    return store;
+};
+
+describe('token diagnostics', () => {
+    let page;
+
+    /**
+     * Open the page, run the diagnostics and wait until they finish
+     */
+    const run = async (routes) => {
+        page = await openAdminPage({ body: DIAGNOSTICS, routes });
+        page.$('#test-jwt-generation').trigger('click');
+
+        while (page.$('#test-jwt-generation').prop('disabled')) {
+            await settle();
+        }
+    };
+
+    /**
+     * Steps reported in the results table, as [step, result, details]
+     */
+    const results = () => Array.from(page.$('#test-results tbody tr'), row =>
+        Array.from(row.cells, cell => cell.textContent)
+    );
+
+    const notice = () => page.$('.notice');
+
+    afterEach(() => {
+        page.close();
+    });
+
+    it('passes every step of the token lifecycle', async () => {
+        const store = tokenRoutes();
+        await run(store.routes);
+
+        assert.deepEqual(results().map(([step, result]) => [step, result]), [
+            ['Issue token', 'Pass'],
+            ['Decode claims', 'Pass'],
+            ['Verify token', 'Pass'],
+            ['Refresh', 'Pass'],
+            ['Rotate', 'Pass'],
+            ['Logout', 'Pass'],
+            ['Revocation', 'Pass']
+        ]);
+        assert.equal(results()[6][2], 'Session #3 revoked; refresh after logout rejected: Invalid refresh token (invalid_refresh_token)');
+        assert.deepEqual(store.active, []);
+        assert.equal(notice().find('p').text(), 'All token diagnostics passed.');
+        assert.ok(notice().hasClass('notice-success'));
+    });
+
+    it('lists the stored refresh tokens around logout through the diagnostics route', async () => {
+        const store = tokenRoutes();
+        await run(store.routes);
+
+        const routes = page.requests.map(request => `${request.method} ${request.route}`);
+        const logout = routes.indexOf('POST jwt/v1/logout');
+        assert.equal(routes[logout - 1], 'GET jwt/v1/admin/diagnostics/token');
+        assert.equal(routes[logout + 1], 'GET jwt/v1/admin/diagnostics/token');
+        assert.ok(routes.every(route => route in store.routes), routes.join(', '));
+    });
+
+    it('fails when logout leaves the stored refresh token active', async () => {
+        const store = tokenRoutes({ revokeOnLogout: false });
+        await run(store.routes);
+
+        assert.deepEqual(results().pop(), ['Revocation', 'Fail', 'Expected logout to revoke 1 stored refresh token, it revoked 0']);
+        assert.equal(notice().find('p').text(), 'Token diagnostics failed. See the results below.');
+        assert.ok(notice().hasClass('notice-error'));
+    });
+
+    it('reports claims that do not match the current user', async () => {
+        const store = tokenRoutes();
+        const issue = store.routes['POST jwt/v1/admin/diagnostics/token'];
+        store.routes['POST jwt/v1/admin/diagnostics/token'] = request => {
+            const response = issue(request);
+            response.body.data.access_token = accessToken({ sub: '2', roles: undefined });
+            return response;
+        };
+        await run(store.routes);
+
+        const [step, result, details] = results()[1];
+        assert.equal(step, 'Decode claims');
+        assert.equal(result, 'Fail');
+        assert.match(details, /^Problems: sub does not match the current user, roles claim missing\n/);
+    });
+
+    it('stops at the first failing step and revokes the diagnostic refresh token', async () => {
+        const store = tokenRoutes();
+        store.routes['GET jwt/v1/verify'] = () => ({ status: 401, body: { code: 'invalid_token', message: 'Invalid token' } });
+        await run(store.routes);
+
+        assert.deepEqual(results().slice(2), [
+            ['Verify token', 'Fail', 'Invalid token (invalid_token)'],
+            ['Cleanup', 'Pass', 'Diagnostic refresh token revoked']
+        ]);
+        assert.deepEqual(store.active, []);
+        assert.equal(page.requests.filter(request => request.route === 'jwt/v1/refresh').length, 0);
+        assert.ok(notice().hasClass('notice-error'));
+        assert.equal(page.$('#test-jwt-generation').text(), 'Run Diagnostics');
+    });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for the API Documentation console (assets/api-docs.js)
+ *
+ * Drives the login panel in jsdom against the mock REST API, with a stub in
+ * place of Swagger UI.
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { createConsole, isRestRequest, formatCountdown } = require('../../assets/api-docs.js');
+const { JWTAuthClient } = require('../../assets/jwt-auth-client.js');
+const { startMockServer, USER } = require('./helpers/mock-server.js');
+
+// The login panel rendered by render_api_docs_tab().
+const PANEL = `
+    <div class="jwt-api-docs-auth">
+        <form id="jwt-api-docs-login">
+            <input type="text" id="jwt-api-docs-username" name="username" />
+            <input type="password" id="jwt-api-docs-password" name="password" />
+            <button type="submit" class="button button-primary">Log In</button>
+        </form>
+        <div id="jwt-api-docs-session" hidden>
+            Logged in as <strong id="jwt-api-docs-user"></strong>.
+            Access token expires in <strong id="jwt-api-docs-countdown"></strong>.
+            <button type="button" id="jwt-api-docs-refresh" class="button">Refresh Now</button>
+            <button type="button" id="jwt-api-docs-logout" class="button">Log Out</button>
+            <pre id="jwt-api-docs-claims"></pre>
+        </div>
+        <p id="jwt-api-docs-status" class="description" aria-live="polite"></p>
+    </div>`;
+
+/**
+ * Resolve with the next client event of a type
+ */
+const nextEvent = (client, type) => new Promise(resolve => {
+    const off = client.on(type, detail => {
+        off();
+        resolve(detail);
+    });
+});
+
+/**
+ * Stand-in for the Swagger UI instance, recording authorization changes
+ */
+const stubSwaggerUi = () => {
+    const ui = {
+        authorized: [],
+        loggedOut: [],
+        preauthorizeApiKey(name, token) {
+            ui.authorized.push({ name, token });
+        },
+        authActions: {
+            logout(names) {
+                ui.loggedOut.push(names);
+            }
+        }
+    };
+    return ui;
+};
+
+describe('isRestRequest', () => {
+    it('matches URLs under the REST API root only', () => {
+        const restUrl = 'https://example.com/wp-json/';
+
+        assert.equal(isRestRequest('https://example.com/wp-json/wp/v2/posts', restUrl), true);
+        assert.equal(isRestRequest('https://example.com/sample-page/', restUrl), false);
+        assert.equal(isRestRequest('https://other.example/wp-json/wp/v2/posts', restUrl), false);
+    });
+
+    it('follows a REST API on another host than the site', () => {
+        assert.equal(isRestRequest('https://api.example.com/wp-json/jwt/v1/verify', 'https://api.example.com/wp-json/'), true);
+    });
+
+    it('matches nothing without a REST API root', () => {
+        assert.equal(isRestRequest('https://example.com/wp-json/', undefined), false);
+    });
+});
+
+describe('formatCountdown', () => {
+    it('formats the time left as minutes and seconds', () => {
+        assert.equal(formatCountdown(3600 * 1000), '60:00');
+        assert.equal(formatCountdown(61 * 1000), '1:01');
+        assert.equal(formatCountdown(-5000), '0:00');
+    });
+});
+
+describe('API Documentation console', () => {
+    let server;
+    let dom;
+    let document;
+    let ui;
+    let apiDocs;
+
+    /**
+     * Create and start the console for the mock server
+     */
+    const start = async () => {
+        apiDocs = createConsole({ document, restUrl: server.restUrl });
+        apiDocs.ui = ui;
+        await apiDocs.start();
+        return apiDocs;
+    };
+
+    /**
+     * Log in through the form and wait for the result
+     */
+    const logIn = async (password = 'secret') => {
+        const form = document.getElementById('jwt-api-docs-login');
+        form.elements.username.value = 'admin';
+        form.elements.password.value = password;
+
+        const done = password === 'secret' ? nextEvent(apiDocs.auth, 'login') : null;
+        form.querySelector('button[type="submit"]').click();
+        await done;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    };
+
+    const status = () => document.getElementById('jwt-api-docs-status');
+
+    beforeEach(async () => {
+        server = await startMockServer({ jwt: true });
+        dom = new JSDOM(`<!DOCTYPE html><html><body>${PANEL}</body></html>`);
+        document = dom.window.document;
+        ui = stubSwaggerUi();
+    });
+
+    afterEach(async () => {
+        apiDocs.destroy();
+        dom.window.close();
+        await server.close();
+    });
+
+    describe('login', () => {
+        it('shows the user, the claims and the countdown, and authorizes Swagger UI', async () => {
+            await start();
+            await logIn();
+
+            const token = apiDocs.auth.getAccessToken();
+            assert.equal(document.getElementById('jwt-api-docs-login').hidden, true);
+            assert.equal(document.getElementById('jwt-api-docs-session').hidden, false);
+            assert.equal(document.getElementById('jwt-api-docs-user').textContent, `${USER.display_name} (${USER.username})`);
+            assert.equal(document.getElementById('jwt-api-docs-password').value, '');
+            assert.match(document.getElementById('jwt-api-docs-claims').textContent, /^header: \{"typ":"JWT","alg":"HS256"\}\n[\s\S]*seq: 1/);
+            assert.match(document.getElementById('jwt-api-docs-countdown').textContent, /^(60:00|59:59)$/);
+            assert.deepEqual(ui.authorized, [{ name: 'bearerAuth', token }]);
+            assert.equal(status().textContent, 'Logged in. "Try it out" requests now send your access token.');
+        });
+
+        it('reports failed logins', async () => {
+            await start();
+            await logIn('wrong');
+
+            assert.equal(status().textContent, 'Login failed: Invalid username or password');
+            assert.equal(status().classList.contains('is-error'), true);
+            assert.equal(document.getElementById('jwt-api-docs-session').hidden, true);
+            assert.deepEqual(ui.authorized, []);
+        });
+
+        it('restores a session from the refresh cookie on start', async () => {
+            const other = new JWTAuthClient({ restUrl: server.restUrl });
+            await other.login('admin', 'secret');
+            other.destroy();
+
+            await start();
+
+            assert.equal(server.state.calls.refresh, 1);
+            assert.equal(document.getElementById('jwt-api-docs-session').hidden, false);
+            assert.deepEqual(ui.authorized.pop(), { name: 'bearerAuth', token: apiDocs.auth.getAccessToken() });
+        });
+
+        it('logs out through the Log Out button', async () => {
+            await start();
+            await logIn();
+
+            const loggedOut = nextEvent(apiDocs.auth, 'logout');
+            document.getElementById('jwt-api-docs-logout').click();
+            await loggedOut;
+
+            assert.equal(server.state.calls.logout, 1);
+            assert.deepEqual(ui.loggedOut, [['bearerAuth']]);
+            assert.equal(document.getElementById('jwt-api-docs-login').hidden, false);
+            assert.equal(status().textContent, 'Logged out.');
+        });
+    });
+
+    describe('authorizeRequest', () => {
+        it('leaves requests alone before login', async () => {
+            await start();
+
+            const request = await apiDocs.authorizeRequest({ url: `${server.restUrl}wp/v2/posts`, headers: {} });
+
+            assert.deepEqual(request.headers, {});
+        });
+
+        it('adds the access token to REST API requests only', async () => {
+            await start();
+            await logIn();
+
+            const rest = await apiDocs.authorizeRequest({ url: `${server.restUrl}wp/v2/posts`, headers: {} });
+            const page = await apiDocs.authorizeRequest({ url: server.restUrl.replace('/wp-json/', '/sample-page/'), headers: {} });
+
+            assert.equal(rest.headers.Authorization, `Bearer ${apiDocs.auth.getAccessToken()}`);
+            assert.deepEqual(page.headers, {});
+        });
+
+        it('refreshes a token that is about to expire before sending it', async () => {
+            await start();
+            await logIn();
+            const first = apiDocs.auth.getAccessToken();
+            const refreshes = server.state.calls.refresh;
+            apiDocs.auth.expiresAt = Date.now() + 1000;
+
+            const request = await apiDocs.authorizeRequest({ url: `${server.restUrl}wp/v2/posts`, headers: {} });
+
+            assert.equal(server.state.calls.refresh, refreshes + 1);
+            assert.notEqual(apiDocs.auth.getAccessToken(), first);
+            assert.equal(request.headers.Authorization, `Bearer ${apiDocs.auth.getAccessToken()}`);
+        });
+    });
+
+    describe('auto-refresh', () => {
+        it('re-authorizes Swagger UI and updates the claims when the token is refreshed', async () => {
+            await server.close();
+            server = await startMockServer({ jwt: true, expiresIn: 0.2 });
+
+            await start();
+            const refreshed = nextEvent(apiDocs.auth, 'refresh');
+            await logIn();
+            await refreshed;
+
+            assert.equal(ui.authorized.length, 2);
+            assert.equal(ui.authorized[1].token, apiDocs.auth.getAccessToken());
+            assert.match(document.getElementById('jwt-api-docs-claims').textContent, /seq: 2/);
+            assert.equal(status().textContent, 'Access token refreshed.');
+        });
+
+        it('shows the login form again when the session expires', async () => {
+            await start();
+            await logIn();
+            server.state.loggedIn = false;
+
+            document.getElementById('jwt-api-docs-refresh').click();
+            await nextEvent(apiDocs.auth, 'logout');
+
+            assert.equal(document.getElementById('jwt-api-docs-login').hidden, false);
+            assert.equal(status().textContent, 'Session expired. Log in again.');
+        });
+    });
+
+    describe('countdown', () => {
+        it('counts down every second', async () => {
+            await start();
+            await logIn();
+            apiDocs.auth.expiresAt = Date.now() + 62 * 1000;
+
+            await new Promise(resolve => setTimeout(resolve, 1100));
+
+            assert.match(document.getElementById('jwt-api-docs-countdown').textContent, /^1:0[01]$/);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tests for the cookie configuration inspector (assets/cookie-inspector.js)
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { previewConfig, analyze, pathMatches, domainMatches } = require('../../assets/cookie-inspector.js');
+
+const REFRESH_URL = 'https://api.example.com/wp-json/jwt/v1/refresh';
+
+/**
+ * Build a report like the one returned by GET jwt/v1/admin/cookies
+ */
+function makeReport(overrides = {}) {
+    return {
+        environment: 'development',
+        config: {
+            enabled: true,
+            name: 'wp_jwt_refresh_token',
+            samesite: 'Lax',
+            secure: false,
+            httponly: true,
+            path: '/',
+            domain: '',
+            lifetime: 86400,
+            ...overrides.config
+        },
+        sources: {
+            enabled: 'environment',
+            name: 'environment',
+            samesite: 'environment',
+            secure: 'environment',
+            httponly: 'environment',
+            path: 'environment',
+            domain: 'environment',
+            lifetime: 'environment',
+            ...overrides.sources
+        },
+        environments: {
+            development: { samesite: 'Lax', secure: false, path: '/', domain: '' },
+            staging: { samesite: 'Lax', secure: true, path: '/', domain: '' },
+            production: { samesite: 'Strict', secure: true, path: '/wp-json/', domain: '' }
+        }
+    };
+}
+
+/**
+ * Levels of the findings that mention `text`
+ */
+function levelsFor(findings, text) {
+    return findings.filter(finding => finding.message.indexOf(text) !== -1).map(finding => finding.level);
+}
+
+describe('previewConfig', () => {
+    it('returns the effective configuration for the current environment', () => {
+        const report = makeReport();
+
+        assert.deepEqual(previewConfig(report), { config: report.config, sources: report.sources });
+        assert.deepEqual(previewConfig(report, 'development').config, report.config);
+    });
+
+    it('applies another environment\'s defaults to values that follow the environment', () => {
+        const preview = previewConfig(makeReport(), 'production');
+
+        assert.equal(preview.config.samesite, 'Strict');
+        assert.equal(preview.config.secure, true);
+        assert.equal(preview.config.path, '/wp-json/');
+    });
+
+    it('keeps values pinned by a constant, filter or saved setting', () => {
+        const report = makeReport({
+            config: { samesite: 'None', secure: true },
+            sources: { samesite: 'constant', secure: 'filter' }
+        });
+
+        const preview = previewConfig(report, 'production');
+
+        assert.equal(preview.config.samesite, 'None');
+        assert.equal(preview.sources.samesite, 'constant');
+        assert.equal(preview.config.secure, true);
+        assert.equal(preview.config.path, '/wp-json/');
+    });
+});
+
+describe('pathMatches and domainMatches', () => {
+    it('follows the RFC 6265 path rules', () => {
+        assert.equal(pathMatches('/wp-json/jwt/v1/refresh', '/'), true);
+        assert.equal(pathMatches('/wp-json/jwt/v1/refresh', '/wp-json/'), true);
+        assert.equal(pathMatches('/wp-json/jwt/v1/refresh', '/wp-json'), true);
+        assert.equal(pathMatches('/wp-jsonx/jwt/v1/refresh', '/wp-json'), false);
+        assert.equal(pathMatches('/', '/wp-json/'), false);
+    });
+
+    it('follows the RFC 6265 domain rules', () => {
+        assert.equal(domainMatches('api.example.com', ''), true);
+        assert.equal(domainMatches('api.example.com', '.example.com'), true);
+        assert.equal(domainMatches('api.example.com', 'example.com'), true);
+        assert.equal(domainMatches('api.example.com', 'other.com'), false);
+        assert.equal(domainMatches('notexample.com', 'example.com'), false);
+    });
+});
+
+describe('analyze', () => {
+    it('reports nothing for a sound same-origin configuration', () => {
+        const config = { ...makeReport().config, secure: true };
+
+        assert.deepEqual(analyze(config, { refreshUrl: REFRESH_URL }), []);
+    });
+
+    it('rejects SameSite=None without Secure', () => {
+        const config = { ...makeReport().config, samesite: 'None', secure: false };
+
+        assert.deepEqual(levelsFor(analyze(config, { refreshUrl: REFRESH_URL }), 'requires Secure'), ['error']);
+    });
+
+    it('flags Secure cookies on an HTTP site', () => {
+        const config = { ...makeReport().config, secure: true };
+        const findings = analyze(config, { refreshUrl: 'http://localhost:8888/wp-json/jwt/v1/refresh' });
+
+        assert.deepEqual(levelsFor(findings, 'not stored over HTTP'), ['error']);
+    });
+
+    it('flags a path that excludes the refresh endpoint under plain permalinks', () => {
+        const config = { ...makeReport().config, secure: true, path: '/wp-json/' };
+        const findings = analyze(config, { refreshUrl: 'https://example.com/?rest_route=/jwt/v1/refresh' });
+
+        assert.deepEqual(levelsFor(findings, 'does not cover the refresh endpoint'), ['error']);
+    });
+
+    it('flags a domain the site cannot set', () => {
+        const config = { ...makeReport().config, secure: true, domain: '.other.com' };
+
+        assert.deepEqual(levelsFor(analyze(config, { refreshUrl: REFRESH_URL }), 'does not match'), ['error']);
+    });
+
+    it('lists errors before warnings and notes', () => {
+        const config = { ...makeReport().config, samesite: 'None', httponly: false, domain: '.example.com' };
+        const levels = analyze(config, { refreshUrl: REFRESH_URL }).map(finding => finding.level);
+
+        assert.deepEqual(levels, ['error', 'warning', 'info']);
+    });
+
+    describe('frontend origin', () => {
+        const secureLax = { ...makeReport().config, secure: true };
+
+        it('accepts the same origin with any SameSite value', () => {
+            const findings = analyze({ ...secureLax, samesite: 'Strict' }, {
+                refreshUrl: REFRESH_URL,
+                frontendOrigin: 'https://api.example.com'
+            });
+
+            assert.deepEqual(findings.map(finding => finding.level), ['info']);
+        });
+
+        it('accepts a same-site subdomain allowed by CORS', () => {
+            const findings = analyze(secureLax, {
+                refreshUrl: REFRESH_URL,
+                frontendOrigin: 'https://app.example.com/dashboard',
+                allowedOrigins: ['https://app.example.com']
+            });
+
+            assert.deepEqual(levelsFor(findings, 'same-site'), ['info']);
+            assert.deepEqual(findings.filter(finding => finding.level !== 'info'), []);
+        });
+
+        it('explains why a cross-site frontend does not get the cookie', () => {
+            const findings = analyze(secureLax, {
+                refreshUrl: REFRESH_URL,
+                frontendOrigin: 'https://my-spa.netlify.app',
+                allowedOrigins: []
+            });
+
+            assert.deepEqual(levelsFor(findings, 'are not sent to /refresh'), ['error']);
+            assert.deepEqual(levelsFor(findings, 'CORS allowed origins'), ['warning']);
+        });
+
+        it('treats a different scheme on the same domain as cross-site', () => {
+            const findings = analyze(secureLax, {
+                refreshUrl: REFRESH_URL,
+                frontendOrigin: 'http://app.example.com',
+                allowedOrigins: ['*']
+            });
+
+            assert.deepEqual(levelsFor(findings, 'cross-site'), ['error']);
+        });
+
+        it('rejects an invalid origin', () => {
+            const findings = analyze(secureLax, { refreshUrl: REFRESH_URL, frontendOrigin: 'app.example.com' });
+
+            assert.deepEqual(levelsFor(findings, 'not a valid origin'), ['error']);
+        });
+    });
+});
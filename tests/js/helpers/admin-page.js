@@ -0,0 +1,133 @@
+/**
+ * Settings page in jsdom for admin.js tests
+ *
+ * Loads jQuery, admin.js and the scripts it depends on into a jsdom window
+ * holding the given markup. REST requests never reach the network: they are
+ * answered from a route table keyed by `METHOD path` (relative to the REST
+ * root), and every request is recorded with its JSON data and headers.
+ *
+ * A route handler receives the request and returns `{ status, body }`;
+ * a status outside 2xx makes the request fail like a WordPress REST error.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const REST_URL = 'https://example.com/wp-json/';
+
+const ASSETS = path.join(__dirname, '..', '..', '..', 'assets');
+const SCRIPTS = [
+    require.resolve('jquery'),
+    path.join(ASSETS, 'jwt-auth-client.js'),
+    path.join(ASSETS, 'cookie-inspector.js'),
+    path.join(ASSETS, 'activity-charts.js'),
+    path.join(ASSETS, 'admin.js')
+];
+
+// Mirrors JWT_Auth_Pro_Admin_Settings::get_validation_rules().
+const RULES = {
+    secret_key: { min_length: 32 },
+    access_token_expiry: { min: 300, max: 86400, default: 3600 },
+    refresh_token_expiry: { min: 3600, max: 31536000, default: 2592000 }
+};
+
+/**
+ * Open the settings page
+ *
+ * @param {Object} options
+ * @param {string} options.body     Markup of the page content.
+ * @param {Object} [options.routes] REST handlers keyed by `METHOD path`, e.g. `GET jwt/v1/admin/secret/rotation`.
+ * @param {Object} [options.locked] Fields defined in wp-config.php, as localized in `wpRestAuthJWT.settings.locked`.
+ * @param {Function} [options.beforeLoad] Called with the window before admin.js runs, e.g. to stub browser APIs.
+ * @returns {Promise<Object>} Page with `window`, `$`, the recorded `requests` and `close()`.
+ */
+async function openAdminPage(options) {
+    const dom = new JSDOM(
+        `<!DOCTYPE html><html><body><hr class="wp-header-end">${options.body}</body></html>`,
+        { url: 'https://example.com/wp-admin/options-general.php', runScripts: 'outside-only' }
+    );
+    const win = dom.window;
+    const routes = options.routes || {};
+    const requests = [];
+
+    win.wpRestAuthJWT = {
+        restUrl: REST_URL,
+        restNonce: 'rest-nonce',
+        userId: 1,
+        settings: { rules: RULES, locked: options.locked || {} }
+    };
+
+    // Browser APIs the scripts use that jsdom does not provide.
+    if (!win.TextDecoder) {
+        win.TextDecoder = TextDecoder;
+    }
+
+    if (options.beforeLoad) {
+        options.beforeLoad(win);
+    }
+
+    SCRIPTS.forEach((file, index) => {
+        win.eval(fs.readFileSync(file, 'utf8'));
+
+        if (index === 0) {
+            win.jQuery.fx.off = true;
+            win.jQuery.ajax = settings => answer(win.jQuery, routes, requests, settings);
+        }
+    });
+
+    // admin.js initializes on document ready; this handler runs after it.
+    await new Promise(resolve => win.jQuery(resolve));
+
+    return {
+        window: win,
+        $: win.jQuery,
+        requests,
+        close() {
+            win.close();
+        }
+    };
+}
+
+/**
+ * Answer a $.ajax() call from the route table
+ */
+function answer($, routes, requests, settings) {
+    const [route, query] = settings.url.slice(REST_URL.length).split('?');
+    const headers = {};
+
+    if (settings.beforeSend) {
+        settings.beforeSend({ setRequestHeader: (name, value) => { headers[name] = value; } });
+    }
+
+    const request = {
+        method: settings.method,
+        route,
+        query: Object.fromEntries(new URLSearchParams(query || '')),
+        data: settings.data ? JSON.parse(settings.data) : undefined,
+        headers
+    };
+    requests.push(request);
+
+    const handler = routes[`${request.method} ${route}`];
+    const { status, body } = handler
+        ? handler(request)
+        : { status: 404, body: { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' } };
+
+    const deferred = $.Deferred();
+    setTimeout(() => {
+        if (status >= 200 && status < 300) {
+            deferred.resolve(body);
+        } else {
+            deferred.reject({ status, responseJSON: body });
+        }
+    }, 0);
+    return deferred.promise();
+}
+
+/**
+ * Wait for pending requests and their handlers
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+module.exports = { openAdminPage, settle };
@@ -0,0 +1,57 @@
+/**
+ * Simulated browser tabs for cross-tab tests
+ *
+ * Every tab shares one localStorage area. Like a browser, a write in one tab
+ * fires an asynchronous `storage` event in every other tab, never in the
+ * writing tab itself.
+ */
+
+/**
+ * Create a shared storage area
+ *
+ * @returns {{ openTab: Function, items: Map }}
+ */
+function createStorageArea() {
+    const items = new Map();
+    const tabs = [];
+
+    const notifyOthers = (source, key, oldValue, newValue) => {
+        tabs.filter(tab => tab !== source).forEach(tab => {
+            setTimeout(() => {
+                const event = new Event('storage');
+                Object.assign(event, { key, oldValue, newValue });
+                tab.eventTarget.dispatchEvent(event);
+            }, 0);
+        });
+    };
+
+    /**
+     * Open a tab: returns its Storage view and the window receiving storage events
+     */
+    function openTab() {
+        const tab = { eventTarget: new EventTarget() };
+
+        tab.storage = {
+            getItem(key) {
+                return items.has(key) ? items.get(key) : null;
+            },
+            setItem(key, value) {
+                const oldValue = this.getItem(key);
+                items.set(key, String(value));
+                notifyOthers(tab, key, oldValue, String(value));
+            },
+            removeItem(key) {
+                const oldValue = this.getItem(key);
+                items.delete(key);
+                notifyOthers(tab, key, oldValue, null);
+            }
+        };
+
+        tabs.push(tab);
+        return tab;
+    }
+
+    return { openTab, items };
+}
+
+module.exports = { createStorageArea };
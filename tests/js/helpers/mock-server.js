@@ -0,0 +1,178 @@
+/**
+ * Mock JWT Auth Pro REST API for JavaScript tests
+ *
+ * Mimics the response shapes of the plugin's `jwt/v1` endpoints plus one
+ * protected route (`wp/v2/posts`). Node's fetch has no cookie jar, so the
+ * refresh token "cookie" is tracked server-side as a single session.
+ *
+ * Refresh token rotation is simulated: a refresh that was issued against a
+ * token generation that has since been rotated fails with
+ * `invalid_refresh_token`, exactly like a reused refresh token would.
+ */
+
+const http = require('node:http');
+
+const USER = {
+    id: 1,
+    username: 'admin',
+    email: 'admin@example.com',
+    display_name: 'Site Admin',
+    roles: ['administrator']
+};
+
+/**
+ * Start the mock server
+ *
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn]    Access token lifetime in seconds (default 3600)
+ * @param {number} [options.refreshDelay] Milliseconds each refresh takes (default 20)
+ * @param {boolean} [options.jwt]         Issue JWT-shaped access tokens that decode to claims (default `access-<n>` strings)
+ * @returns {Promise<Object>} Server handle with `restUrl`, `state` and `close()`.
+ */
+async function startMockServer(options = {}) {
+    const state = {
+        expiresIn: options.expiresIn || 3600,
+        refreshDelay: options.refreshDelay === undefined ? 20 : options.refreshDelay,
+        sequence: 0,
+        validTokens: new Set(),
+        loggedIn: false,
+        generation: 0,
+        calls: { token: 0, refresh: 0, logout: 0, verify: 0, posts: 0 }
+    };
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    const issueToken = () => {
+        const sequence = ++state.sequence;
+        const iat = Math.floor(Date.now() / 1000);
+        const token = options.jwt
+            ? `${encode({ typ: 'JWT', alg: 'HS256' })}.${encode({ iss: 'mock', iat, exp: iat + state.expiresIn, sub: USER.id, seq: sequence })}.signature`
+            : `access-${sequence}`;
+        state.validTokens.add(token);
+        return token;
+    };
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const error = (res, code, message, status) => send(res, status, { code, message, data: { status } });
+
+    const bearer = (req) => {
+        const header = req.headers.authorization || '';
+        return header.indexOf('Bearer ') === 0 ? header.slice(7) : '';
+    };
+
+    const readBody = (req) => new Promise(resolve => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(raw || '{}'));
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+
+    const routes = {
+        'POST /wp-json/jwt/v1/token': async (req, res) => {
+            state.calls.token++;
+            const body = await readBody(req);
+
+            if (!body.username || !body.password) {
+                return error(res, 'missing_credentials', 'Username and password are required', 400);
+            }
+            if (body.username !== USER.username || body.password !== 'secret') {
+                return error(res, 'invalid_credentials', 'Invalid username or password', 403);
+            }
+
+            state.loggedIn = true;
+            state.generation++;
+            res.setHeader('Set-Cookie', 'wp_jwt_refresh_token=rt; HttpOnly; Path=/');
+            send(res, 200, {
+                success: true,
+                data: { access_token: issueToken(), token_type: 'Bearer', expires_in: state.expiresIn, user: USER },
+                message: 'Authentication successful'
+            });
+        },
+
+        'POST /wp-json/jwt/v1/refresh': async (req, res) => {
+            state.calls.refresh++;
+            const presented = state.generation;
+
+            await new Promise(resolve => setTimeout(resolve, state.refreshDelay));
+
+            if (!state.loggedIn) {
+                return error(res, 'missing_refresh_token', 'Refresh token not found', 401);
+            }
+            if (presented !== state.generation) {
+                // The refresh token presented by this request was rotated by a concurrent one.
+                state.loggedIn = false;
+                return error(res, 'invalid_refresh_token', 'Invalid or expired refresh token', 401);
+            }
+
+            state.generation++;
+            send(res, 200, {
+                success: true,
+                data: { access_token: issueToken(), token_type: 'Bearer', expires_in: state.expiresIn },
+                message: 'Token refreshed successfully'
+            });
+        },
+
+        'POST /wp-json/jwt/v1/logout': async (req, res) => {
+            state.calls.logout++;
+            state.loggedIn = false;
+            state.validTokens.clear();
+            send(res, 200, { success: true, data: [], message: 'Logout successful' });
+        },
+
+        'GET /wp-json/jwt/v1/verify': async (req, res) => {
+            state.calls.verify++;
+            if (!state.validTokens.has(bearer(req))) {
+                return error(res, 'invalid_token', 'Invalid or expired JWT token', 401);
+            }
+            send(res, 200, { success: true, data: { valid: true, user: USER }, message: 'Token is valid' });
+        },
+
+        'GET /wp-json/wp/v2/posts': async (req, res) => {
+            state.calls.posts++;
+            if (!state.validTokens.has(bearer(req))) {
+                return error(res, 'invalid_token', 'Invalid or expired JWT token', 401);
+            }
+            send(res, 200, [{ id: 1, title: { rendered: 'Hello world!' } }]);
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+        if (!route) {
+            return error(res, 'rest_no_route', 'No route was found matching the URL and request method.', 404);
+        }
+        route(req, res);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        state,
+        restUrl: `http://127.0.0.1:${server.address().port}/wp-json/`,
+
+        /**
+         * Invalidate every access token, as if they had all expired
+         */
+        expireAccessTokens() {
+            state.validTokens.clear();
+        },
+
+        close() {
+            const closed = new Promise(resolve => server.close(resolve));
+            // Drop keep-alive connections so close() does not wait for them to time out.
+            server.closeAllConnections();
+            return closed;
+        }
+    };
+}
+
+module.exports = { startMockServer, USER };
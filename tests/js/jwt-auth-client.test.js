@@ -0,0 +1,174 @@
+/**
+ * Tests for the browser client (assets/jwt-auth-client.js)
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JWTAuthClient, JWTAuthError } = require('../../assets/jwt-auth-client.js');
+const { startMockServer, USER } = require('./helpers/mock-server.js');
+
+describe('JWTAuthClient', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        server = await startMockServer();
+        client = new JWTAuthClient({ restUrl: server.restUrl });
+    });
+
+    afterEach(async () => {
+        client.destroy();
+        await server.close();
+    });
+
+    describe('login', () => {
+        it('stores the access token in memory and emits login', async () => {
+            const events = [];
+            client.on('login', detail => events.push(detail));
+
+            const user = await client.login('admin', 'secret');
+
+            assert.deepEqual(user, USER);
+            assert.equal(client.isAuthenticated(), true);
+            assert.equal(client.getAccessToken(), 'access-1');
+            assert.deepEqual(events, [{ user: USER }]);
+        });
+
+        it('rejects with the plugin error code on bad credentials', async () => {
+            await assert.rejects(client.login('admin', 'wrong'), error => {
+                assert.ok(error instanceof JWTAuthError);
+                assert.equal(error.code, 'invalid_credentials');
+                assert.equal(error.status, 403);
+                return true;
+            });
+            assert.equal(client.isAuthenticated(), false);
+        });
+    });
+
+    describe('fetch', () => {
+        it('sends the access token as a Bearer header', async () => {
+            await client.login('admin', 'secret');
+
+            const response = await client.fetch('wp/v2/posts');
+
+            assert.equal(response.status, 200);
+            assert.equal(server.state.calls.refresh, 0);
+        });
+
+        it('refreshes and retries once on invalid_token', async () => {
+            await client.login('admin', 'secret');
+            server.expireAccessTokens();
+
+            const response = await client.fetch('wp/v2/posts');
+
+            assert.equal(response.status, 200);
+            assert.equal(server.state.calls.refresh, 1);
+            assert.equal(server.state.calls.posts, 2);
+            assert.equal(client.getAccessToken(), 'access-2');
+        });
+
+        it('de-duplicates concurrent refreshes triggered by parallel requests', async () => {
+            await client.login('admin', 'secret');
+            server.expireAccessTokens();
+
+            const responses = await Promise.all([
+                client.fetch('wp/v2/posts'),
+                client.fetch('wp/v2/posts'),
+                client.fetch('wp/v2/posts')
+            ]);
+
+            assert.deepEqual(responses.map(r => r.status), [200, 200, 200]);
+            assert.equal(server.state.calls.refresh, 1);
+            assert.equal(client.isAuthenticated(), true);
+        });
+
+        it('restores the session from the refresh cookie when no token is held', async () => {
+            await client.login('admin', 'secret');
+            const reloaded = new JWTAuthClient({ restUrl: server.restUrl });
+
+            const response = await reloaded.fetch('wp/v2/posts');
+
+            assert.equal(response.status, 200);
+            assert.equal(server.state.calls.refresh, 1);
+            reloaded.destroy();
+        });
+
+        it('resolves routes against plain permalink REST roots', () => {
+            const plain = new JWTAuthClient({ restUrl: 'https://example.com/?rest_route=/', fetch: () => {} });
+
+            assert.equal(plain.url('wp/v2/posts?status=draft'), 'https://example.com/?rest_route=/wp/v2/posts&status=draft');
+            assert.equal(plain.url('https://other.test/x'), 'https://other.test/x');
+        });
+    });
+
+    describe('refresh', () => {
+        it('refreshes silently before the token expires', async () => {
+            await server.close();
+            server = await startMockServer({ expiresIn: 0.2 });
+            client = new JWTAuthClient({ restUrl: server.restUrl, refreshMargin: 0.1 });
+
+            const refreshed = new Promise(resolve => client.on('refresh', resolve));
+            await client.login('admin', 'secret');
+
+            assert.deepEqual(await refreshed, { expiresIn: 0.2 });
+            assert.equal(client.getAccessToken(), 'access-2');
+        });
+
+        it('clears the session and emits logout when the refresh token is rejected', async () => {
+            await client.login('admin', 'secret');
+            server.state.loggedIn = false;
+
+            const events = [];
+            client.on('logout', detail => events.push(detail));
+
+            await assert.rejects(client.refresh(), { code: 'missing_refresh_token', status: 401 });
+            assert.equal(client.isAuthenticated(), false);
+            assert.deepEqual(events, [{ reason: 'expired' }]);
+        });
+    });
+
+    describe('verify', () => {
+        it('returns the user and emits verify', async () => {
+            await client.login('admin', 'secret');
+
+            const events = [];
+            client.on('verify', detail => events.push(detail));
+
+            assert.deepEqual(await client.verify(), USER);
+            assert.deepEqual(events, [{ user: USER }]);
+        });
+    });
+
+    describe('decodeToken', () => {
+        it('decodes the header and claims of a JWT', () => {
+            const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+            const token = `${segment({ typ: 'JWT', alg: 'HS256' })}.${segment({ sub: '1', roles: ['éditeur'] })}.sig`;
+
+            assert.deepEqual(JWTAuthClient.decodeToken(token), {
+                header: { typ: 'JWT', alg: 'HS256' },
+                claims: { sub: '1', roles: ['éditeur'] }
+            });
+            assert.throws(() => JWTAuthClient.decodeToken('access-1'), /three segments/);
+        });
+    });
+
+    describe('logout', () => {
+        it('revokes the session and emits logout', async () => {
+            await client.login('admin', 'secret');
+
+            const events = [];
+            const unsubscribe = client.on('logout', detail => events.push(detail));
+
+            await client.logout();
+            unsubscribe();
+
+            assert.equal(server.state.calls.logout, 1);
+            assert.equal(client.isAuthenticated(), false);
+            assert.deepEqual(events, [{ reason: 'logout' }]);
+            await assert.rejects(client.refresh(), { code: 'missing_refresh_token' });
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests for the login web component (assets/jwt-auth-login.js)
+ *
+ * Renders `<jwt-auth-login>` in jsdom against the mock REST API.
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { define, friendlyMessage } = require('../../assets/jwt-auth-login.js');
+const { JWTAuthClient } = require('../../assets/jwt-auth-client.js');
+const { startMockServer, USER } = require('./helpers/mock-server.js');
+
+/**
+ * Resolve with the next event of a type dispatched on a target
+ */
+const nextEvent = (target, type) => new Promise(resolve => target.addEventListener(type, resolve, { once: true }));
+
+/**
+ * Wait for in-flight requests that do not emit an event
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('<jwt-auth-login>', () => {
+    let server;
+    let dom;
+    let document;
+
+    /**
+     * Add an element to the page
+     */
+    const mount = (attributes = {}) => {
+        const element = document.createElement('jwt-auth-login');
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        document.body.appendChild(element);
+        return element;
+    };
+
+    /**
+     * Fill in the form and submit it
+     */
+    const submit = (element, username, password) => {
+        const shadow = element.shadowRoot;
+        shadow.querySelector('#username').value = username;
+        shadow.querySelector('#password').value = password;
+        shadow.querySelector('button[type="submit"]').click();
+    };
+
+    beforeEach(async () => {
+        server = await startMockServer();
+        dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+        document = dom.window.document;
+        define(dom.window);
+    });
+
+    afterEach(async () => {
+        document.querySelectorAll('jwt-auth-login').forEach(element => element.remove());
+        dom.window.close();
+        await server.close();
+    });
+
+    it('renders a labelled login form', () => {
+        const shadow = mount({ 'rest-url': server.restUrl }).shadowRoot;
+
+        ['username', 'password'].forEach(id => {
+            const label = shadow.querySelector(`label[for="${id}"]`);
+            assert.ok(label, `${id} has a label`);
+            assert.equal(shadow.querySelector(`#${id}`).getAttribute('autocomplete'), id === 'password' ? 'current-password' : 'username');
+        });
+
+        assert.equal(shadow.querySelector('[role="alert"]').hidden, true);
+        assert.equal(shadow.querySelector('form').hidden, false);
+        assert.equal(shadow.querySelector('[part="session"]').hidden, true);
+    });
+
+    it('logs in, shows the user and emits jwt-auth-login', async () => {
+        const element = mount({ 'rest-url': server.restUrl });
+        const loggedIn = nextEvent(document, 'jwt-auth-login');
+
+        submit(element, 'admin', 'secret');
+        const event = await loggedIn;
+
+        assert.deepEqual(event.detail, { user: USER, restored: false });
+        assert.equal(event.target, element);
+        assert.deepEqual(element.user, USER);
+        assert.equal(element.client.getAccessToken(), 'access-1');
+
+        const shadow = element.shadowRoot;
+        assert.equal(shadow.querySelector('form').hidden, true);
+        assert.equal(shadow.querySelector('[part="session"]').hidden, false);
+        assert.equal(shadow.querySelector('[part="user-name"]').textContent, USER.display_name);
+        assert.equal(shadow.querySelector('#password').value, '');
+    });
+
+    it('shows a friendly message for invalid credentials', async () => {
+        const element = mount({ 'rest-url': server.restUrl });
+        const failed = nextEvent(element, 'jwt-auth-error');
+
+        submit(element, 'admin', 'wrong');
+        const event = await failed;
+
+        assert.equal(event.detail.code, 'invalid_credentials');
+        assert.equal(event.detail.status, 403);
+
+        const shadow = element.shadowRoot;
+        const alert = shadow.querySelector('[role="alert"]');
+        assert.equal(alert.hidden, false);
+        assert.equal(alert.textContent, 'The username or password is incorrect.');
+        assert.equal(shadow.querySelector('#username').getAttribute('aria-invalid'), 'true');
+        assert.equal(shadow.querySelector('form').hidden, false);
+    });
+
+    it('asks for missing credentials without calling the API', async () => {
+        const element = mount({ 'rest-url': server.restUrl });
+        const failed = nextEvent(element, 'jwt-auth-error');
+
+        submit(element, 'admin', '');
+        const event = await failed;
+
+        assert.equal(event.detail.code, 'missing_credentials');
+        assert.equal(event.detail.message, 'Please enter your username and password.');
+        assert.equal(server.state.calls.token, 0);
+        assert.equal(element.shadowRoot.activeElement, element.shadowRoot.querySelector('#password'));
+    });
+
+    it('reports an unreachable server and a wrong REST URL', async () => {
+        const offline = mount({ 'rest-url': 'http://127.0.0.1:1/wp-json/' });
+        const offlineFailed = nextEvent(offline, 'jwt-auth-error');
+        submit(offline, 'admin', 'secret');
+        assert.equal((await offlineFailed).detail.code, 'network_error');
+
+        const misconfigured = mount({ 'rest-url': server.restUrl.replace('/wp-json/', '/wrong/') });
+        const misconfiguredFailed = nextEvent(misconfigured, 'jwt-auth-error');
+        submit(misconfigured, 'admin', 'secret');
+        assert.equal((await misconfiguredFailed).detail.message, 'The login service could not be found. Check the REST API URL.');
+    });
+
+    it('logs out through the logout button and emits jwt-auth-logout', async () => {
+        const element = mount({ 'rest-url': server.restUrl });
+        const loggedIn = nextEvent(element, 'jwt-auth-login');
+        submit(element, 'admin', 'secret');
+        await loggedIn;
+        await settle();
+
+        const loggedOut = nextEvent(element, 'jwt-auth-logout');
+        element.shadowRoot.querySelector('[part~="logout"]').click();
+        const event = await loggedOut;
+
+        assert.deepEqual(event.detail, { reason: 'logout' });
+        assert.equal(server.state.calls.logout, 1);
+        assert.equal(element.user, null);
+        assert.equal(element.shadowRoot.querySelector('form').hidden, false);
+    });
+
+    it('restores a session from the refresh cookie', async () => {
+        // Another page signed in; the mock server tracks the refresh cookie as its session.
+        const other = new JWTAuthClient({ restUrl: server.restUrl });
+        await other.login('admin', 'secret');
+        other.destroy();
+
+        const element = document.createElement('jwt-auth-login');
+        element.setAttribute('rest-url', server.restUrl);
+        element.setAttribute('restore-session', '');
+        const restored = nextEvent(element, 'jwt-auth-login');
+        document.body.appendChild(element);
+
+        const event = await restored;
+
+        assert.deepEqual(event.detail, { user: USER, restored: true });
+        assert.equal(server.state.calls.refresh, 1);
+        assert.equal(element.shadowRoot.querySelector('[part="session"]').hidden, false);
+    });
+
+    it('stays on the login form when there is no session to restore', async () => {
+        const element = mount({ 'rest-url': server.restUrl, 'restore-session': '' });
+        const errors = [];
+        element.addEventListener('jwt-auth-error', event => errors.push(event));
+
+        await settle();
+
+        assert.equal(server.state.calls.refresh, 1);
+        assert.deepEqual(errors, []);
+        assert.equal(element.hasAttribute('busy'), false);
+        assert.equal(element.shadowRoot.querySelector('form').hidden, false);
+    });
+
+    it('configures the client from its attributes', () => {
+        const element = mount({ 'rest-url': server.restUrl, credentials: 'same-origin' });
+
+        assert.equal(element.client.restUrl, server.restUrl);
+        assert.equal(element.client.credentials, 'same-origin');
+
+        element.setAttribute('rest-url', 'https://api.example.com/wp-json/');
+        assert.equal(element.client.restUrl, 'https://api.example.com/wp-json/');
+
+        element.removeAttribute('credentials');
+        assert.equal(element.client.credentials, 'include');
+    });
+
+    it('follows logins made through a client set by the host page', async () => {
+        const element = mount();
+        const client = new JWTAuthClient({ restUrl: server.restUrl });
+        element.client = client;
+
+        const loggedIn = nextEvent(element, 'jwt-auth-login');
+        await client.login('admin', 'secret');
+        await loggedIn;
+
+        assert.equal(element.shadowRoot.querySelector('[part="user-name"]').textContent, USER.display_name);
+        client.destroy();
+    });
+
+    it('uses custom messages', async () => {
+        const element = mount({ 'rest-url': server.restUrl });
+        element.messages = { invalid_credentials: 'Nope.' };
+        const failed = nextEvent(element, 'jwt-auth-error');
+
+        submit(element, 'admin', 'wrong');
+
+        assert.equal((await failed).detail.message, 'Nope.');
+    });
+});
+
+describe('friendlyMessage', () => {
+    it('maps plugin error codes and falls back to a generic message', () => {
+        assert.equal(friendlyMessage({ code: 'missing_credentials' }), 'Please enter your username and password.');
+        assert.equal(friendlyMessage({ code: 'invalid_refresh_token' }), 'Your session has expired. Please log in again.');
+        assert.equal(friendlyMessage(new TypeError('fetch failed')), 'Could not reach the server. Check your connection and try again.');
+        assert.equal(friendlyMessage({ code: 'something_else' }), 'Login failed. Please try again.');
+    });
+});
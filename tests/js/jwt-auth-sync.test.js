@@ -0,0 +1,142 @@
+/**
+ * Tests for the cross-tab session sync (assets/jwt-auth-sync.js)
+ *
+ * Run with: npm run test:js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JWTAuthClient } = require('../../assets/jwt-auth-client.js');
+const { JWTAuthSync } = require('../../assets/jwt-auth-sync.js');
+const { startMockServer, USER } = require('./helpers/mock-server.js');
+const { createStorageArea } = require('./helpers/browser-tabs.js');
+
+/**
+ * Wait for pending cross-tab messages to be delivered
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+for (const transport of ['BroadcastChannel', 'storage events']) {
+    describe(`JWTAuthSync over ${transport}`, () => {
+        let server;
+        let tabs;
+
+        const openTab = (area) => {
+            const tab = area.openTab();
+            const auth = new JWTAuthClient({ restUrl: server.restUrl });
+            const sync = new JWTAuthSync(auth, {
+                name: `jwt-auth-test-${transport}`,
+                storage: tab.storage,
+                eventTarget: tab.eventTarget,
+                channel: transport === 'BroadcastChannel' ? undefined : false
+            });
+            tabs.push({ auth, sync });
+            return auth;
+        };
+
+        beforeEach(async () => {
+            server = await startMockServer();
+            tabs = [];
+        });
+
+        afterEach(async () => {
+            tabs.forEach(({ auth, sync }) => {
+                sync.destroy();
+                auth.destroy();
+            });
+            await server.close();
+        });
+
+        it('signs the other tabs in after a login', async () => {
+            const area = createStorageArea();
+            const first = openTab(area);
+            const second = openTab(area);
+
+            const logins = [];
+            second.on('login', detail => logins.push(detail));
+
+            await first.login('admin', 'secret');
+            await settle();
+
+            assert.equal(second.getAccessToken(), first.getAccessToken());
+            assert.deepEqual(logins, [{ user: USER }]);
+        });
+
+        it('performs a single /refresh when every tab needs a new token', async () => {
+            const area = createStorageArea();
+            const first = openTab(area);
+            const second = openTab(area);
+            const third = openTab(area);
+
+            await first.login('admin', 'secret');
+            await settle();
+            server.expireAccessTokens();
+
+            const responses = await Promise.all([
+                first.fetch('wp/v2/posts'),
+                second.fetch('wp/v2/posts'),
+                third.fetch('wp/v2/posts')
+            ]);
+
+            assert.deepEqual(responses.map(r => r.status), [200, 200, 200]);
+            assert.equal(server.state.calls.refresh, 1);
+            assert.equal(second.getAccessToken(), first.getAccessToken());
+            assert.equal(third.getAccessToken(), first.getAccessToken());
+            assert.equal(area.items.size, 0, 'lock released and no token left in storage');
+        });
+
+        it('takes over the refresh when the refreshing tab fails', async () => {
+            const area = createStorageArea();
+            const first = openTab(area);
+            const second = openTab(area);
+
+            await first.login('admin', 'secret');
+            await settle();
+
+            // A stale lock from a tab that was closed mid-refresh.
+            area.items.set(`jwt-auth-test-${transport}:refresh-lock`, JSON.stringify({ owner: 'closed-tab', expires: Date.now() + 50 }));
+
+            assert.equal(await second.refresh(), 'access-2');
+            assert.equal(server.state.calls.refresh, 1);
+        });
+
+        it('signs every tab out after a logout in one tab', async () => {
+            const area = createStorageArea();
+            const first = openTab(area);
+            const second = openTab(area);
+
+            await first.login('admin', 'secret');
+            await settle();
+
+            const logouts = [];
+            second.on('logout', detail => logouts.push(detail));
+
+            await first.logout();
+            await settle();
+
+            assert.equal(second.isAuthenticated(), false);
+            assert.deepEqual(logouts, [{ reason: 'logout' }]);
+            assert.equal(server.state.calls.logout, 1, 'only the tab that logged out calls /logout');
+        });
+
+        it('signs every tab out when the session has expired', async () => {
+            const area = createStorageArea();
+            const first = openTab(area);
+            const second = openTab(area);
+
+            await first.login('admin', 'secret');
+            await settle();
+            server.state.loggedIn = false;
+
+            const logouts = [];
+            second.on('logout', detail => logouts.push(detail));
+
+            await assert.rejects(first.refresh(), { code: 'missing_refresh_token' });
+            await settle();
+
+            assert.equal(second.isAuthenticated(), false);
+            assert.deepEqual(logouts, [{ reason: 'expired' }]);
+        });
+    });
+}